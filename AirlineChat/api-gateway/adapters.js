@@ -1,4 +1,8 @@
 const axios = require('axios');
+const logger = require('./logger').child({ component: 'adapters' });
+const { instrumentMethods, airlineApiRequestDuration, adapterOutcome } = require('./metrics');
+const { ResiliencePolicy } = require('./resilience');
+const TokenManager = require('./tokenManager');
 
 // Set API base URL based on environment
 const API_BASE_URL = process.env.API_BASE_URL || 'https://airlineticketing-system.azurewebsites.net';
@@ -6,12 +10,40 @@ const API_BASE_URL = process.env.API_BASE_URL || 'https://airlineticketing-syste
 const QUERY_FLIGHT_API = process.env.QUERY_FLIGHT_API;
 const BUY_TICKET_API = process.env.BUY_TICKET_API;
 const CHECK_IN_API = process.env.CHECK_IN_API;
+// Optional endpoint used to look up a booking when a booking request timed out
+const BOOKING_LOOKUP_API = process.env.BOOKING_LOOKUP_API;
 
-console.log('API Configuration:');
-console.log(`- Base URL: ${API_BASE_URL}`);
-console.log(`- Flight API: ${QUERY_FLIGHT_API}`);
-console.log(`- Ticket API: ${BUY_TICKET_API}`);
-console.log(`- Check-in API: ${CHECK_IN_API}`);
+logger.info('API configuration', {
+  baseUrl: API_BASE_URL,
+  flightApi: QUERY_FLIGHT_API,
+  ticketApi: BUY_TICKET_API,
+  checkInApi: CHECK_IN_API,
+  bookingLookupApi: BOOKING_LOOKUP_API || 'Not set'
+});
+
+// Per-attempt timeout for flight searches, which are slower than other calls;
+// failed searches are retried, see resilience.js
+const SEARCH_TIMEOUT_MS = parseInt(process.env.AIRLINE_SEARCH_TIMEOUT_MS || 20000, 10);
+
+// Whether the ticketing API deduplicates bookings by Idempotency-Key. Only
+// then is a booking that timed out or got a 5xx sent again; otherwise the
+// booking service reconciles it with a lookup.
+const IDEMPOTENCY_KEYS_SUPPORTED = process.env.AIRLINE_API_IDEMPOTENCY_KEYS === 'true';
+
+// Retries and a circuit breaker per endpoint for every airline API call
+const resilience = new ResiliencePolicy();
+
+// Result returned by the booking and check-in adapters when the endpoint's
+// circuit is open. Nothing was sent, so it isn't ambiguous.
+function unavailableResult(error) {
+  return {
+    error: true,
+    code: error.code,
+    message: error.message,
+    retryAfterSeconds: error.retryAfterSeconds,
+    status: 'failed'
+  };
+}
 
 // Configure axios with timeout and headers
 const apiClient = axios.create({
@@ -22,57 +54,64 @@ const apiClient = axios.create({
   }
 });
 
-// Authentication token storage
-let authToken = null;
-let tokenExpiry = null;
+const LOGIN_URL = `${API_BASE_URL}/api/v1/Auth/login`;
+
+// Log in to the airline API; resolves to the response data with the token
+async function requestToken(credentials) {
+  const response = await axios.post(LOGIN_URL, credentials);
+  return response.data;
+}
+
+// Token for bookings, check-ins and lookups, refreshed before its exp claim
+const tokens = new TokenManager({
+  login: async () => {
+    logger.info('Getting new auth token');
+    const data = await requestToken({
+      username: process.env.API_USERNAME,
+      password: process.env.API_PASSWORD
+    });
+    return data && data.token;
+  }
+});
+
+function authHeaders(token) {
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+// Send a request that needs the auth token; send(headers) makes the call with
+// the auth headers. When the API answers 401 the token is dropped and the
+// request is sent once more with a new one. A 401 means nothing was done, so
+// this is safe for bookings too.
+async function sendAuthorized(send) {
+  const token = await ApiAdapters.ensureAuthenticated();
+  try {
+    return await send(authHeaders(token));
+  } catch (error) {
+    if (!error.response || error.response.status !== 401) {
+      throw error;
+    }
+    tokens.invalidate(token);
+    const freshToken = await ApiAdapters.ensureAuthenticated();
+    if (!freshToken || freshToken === token) {
+      throw error;
+    }
+    logger.warn('Airline API rejected the auth token, retrying with a new one');
+    return send(authHeaders(freshToken));
+  }
+}
 
 // Adapters for connecting to existing APIs
 class ApiAdapters {
-  // Ensure authentication before making secured requests
+  // Resolves to the auth token, logging in when needed, or null when logging
+  // in failed; requests then go out without one
   static async ensureAuthenticated() {
-    // If we have a valid token that's not expired, use it
-    if (authToken && tokenExpiry && new Date() < tokenExpiry) {
-      console.log('Using existing auth token');
-      return true;
-    }
-    
-    // Otherwise try to login
-    try {
-      console.log('Getting new auth token');
-      const credentials = {
-        username: process.env.API_USERNAME,
-        password: process.env.API_PASSWORD
-      };
-      
-      const response = await axios.post(`${API_BASE_URL}/api/v1/Auth/login`, credentials);
-      
-      if (response.data && response.data.token) {
-        authToken = response.data.token;
-        // Set expiry to 1 hour from now
-        tokenExpiry = new Date(new Date().getTime() + 60 * 60 * 1000);
-        
-        // Set the auth header for future requests
-        apiClient.defaults.headers.common['Authorization'] = `Bearer ${authToken}`;
-        console.log('Authentication successful');
-        return true;
-      } else {
-        console.error('Auth response missing token');
-        return false;
-      }
-    } catch (error) {
-      console.error('Authentication failed:', error.message);
-      if (error.response) {
-        console.error('Auth response status:', error.response.status);
-        console.error('Auth response data:', error.response.data);
-      }
-      return false;
-    }
+    return tokens.getToken();
   }
 
   // Flight search adapter
   static async searchFlights(params) {
     try {
-      console.log(`Searching flights with params:`, params);
+      logger.info('Searching flights', { params });
       
       // Format parameters to match the API requirements based on Swagger documentation
       const apiParams = {
@@ -83,40 +122,43 @@ class ApiAdapters {
         numberOfPeople: parseInt(params.passengers, 10)
       };
       
-      console.log(`Formatted API params:`, apiParams);
-      console.log(`Sending request to: ${QUERY_FLIGHT_API}`);
+      logger.debug('Flight search request', { url: QUERY_FLIGHT_API, apiParams });
       
-      // Using GET for flight search as per the API documentation
-      const response = await apiClient.get(QUERY_FLIGHT_API, { 
+      // Using GET for flight search as per the API documentation. Searches are
+      // safe to repeat, so every transient failure is retried.
+      const response = await resilience.execute('searchFlights', () => apiClient.get(QUERY_FLIGHT_API, {
         params: apiParams,
-        timeout: 150000 // Extended timeout for network issues
-      });
-      console.log('Flight search response status:', response.status);
+        timeout: SEARCH_TIMEOUT_MS
+      }), { idempotent: true });
+      logger.info('Flight search response', { status: response.status });
       return response.data;
     } catch (error) {
-      console.error('Error searching flights:', error.message);
+      if (error.code === 'CIRCUIT_OPEN') {
+        logger.warn('Flight search skipped, circuit is open', { retryAfterSeconds: error.retryAfterSeconds });
+        throw error;
+      }
+
+      let hint;
       if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
-        console.error('Connection failed - API server might be down or unreachable');
+        hint = 'Connection failed - API server might be down or unreachable';
       } else if (error.code === 'ETIMEDOUT') {
-        console.error('Connection timed out - API server might be overloaded');
-      }
-      
-      if (error.response) {
-        console.error('Response status:', error.response.status);
-        console.error('Response data:', error.response.data);
+        hint = 'Connection timed out - API server might be overloaded';
       }
+      logger.error('Error searching flights', {
+        error,
+        hint,
+        responseData: error.response ? error.response.data : undefined
+      });
       
       throw new Error(`Failed to search flights: ${error.message}`);
     }
   }
 
-  // Ticket booking adapter
-  static async bookTicket(ticketData) {
+  // Ticket booking adapter. An idempotency key, when given, is sent along so a
+  // backend that supports it can drop duplicate requests.
+  static async bookTicket(ticketData, options = {}) {
     try {
-      // Ensure we're authenticated before booking
-      await this.ensureAuthenticated();
-      
-      console.log(`Booking ticket with data:`, ticketData);
+      logger.info('Booking ticket', { ticketData });
       
       // Don't override the input data with hardcoded values
       const flightNumber = ticketData.flightNumber;
@@ -126,8 +168,6 @@ class ApiAdapters {
         ? ticketData.passengerNames 
         : [ticketData.passengerNames || ticketData.passengerName].filter(Boolean);
       
-      console.log(`Using date for booking: ${flightDate}`);
-      
       // Format the ticket data to match the API requirements with proper casing
       const apiTicketData = {
         flightNumber: flightNumber,
@@ -135,12 +175,15 @@ class ApiAdapters {
         passengerNames: passengerNames
       };
       
-      console.log(`Formatted API ticket data:`, apiTicketData);
+      logger.debug('Ticket booking request', { url: BUY_TICKET_API, apiTicketData });
       
-      // Using POST for ticket booking as per the API documentation
-      const response = await apiClient.post(BUY_TICKET_API, apiTicketData);
-      console.log('Ticket booking response status:', response.status);
-      console.log('Ticket booking response data:', JSON.stringify(response.data));
+      // Using POST for ticket booking as per the API documentation. Unless the
+      // API is known to honor the idempotency key, a retry could buy the
+      // tickets twice, so only requests that never reached the API are retried.
+      const response = await resilience.execute('bookTicket', () => sendAuthorized(headers => apiClient.post(BUY_TICKET_API, apiTicketData, {
+        headers: options.idempotencyKey ? { ...headers, 'Idempotency-Key': options.idempotencyKey } : headers
+      })), { idempotent: IDEMPOTENCY_KEYS_SUPPORTED && Boolean(options.idempotencyKey) });
+      logger.info('Ticket booking response', { status: response.status, responseData: response.data });
       
       // Just return the original response data to preserve the structure
       return {
@@ -149,38 +192,81 @@ class ApiAdapters {
         statusCode: response.status
       };
     } catch (error) {
-      console.error('Error booking ticket:', error.message);
+      if (error.code === 'CIRCUIT_OPEN') {
+        logger.warn('Ticket booking skipped, circuit is open', { retryAfterSeconds: error.retryAfterSeconds });
+        return unavailableResult(error);
+      }
+
+      logger.error('Error booking ticket', {
+        error,
+        responseData: error.response ? error.response.data : undefined
+      });
       if (error.response) {
-        console.error('Response status:', error.response.status);
-        console.error('Response data:', JSON.stringify(error.response.data || {}));
-        
-        // Return the API error data for the AI to interpret
+        // Return the API error data for the AI to interpret. A 5xx or 408 can
+        // come from a proxy after the API issued the tickets, so like a network
+        // error it doesn't tell whether the booking was made.
+        const status = error.response.status;
         return {
           error: true,
-          statusCode: error.response.status,
+          statusCode: status,
           errorData: error.response.data,
           message: error.response?.data?.errors 
             ? `${JSON.stringify(error.response.data.errors)}` 
-            : 'Failed to book ticket. Please try again with valid flight details.'
+            : 'Failed to book ticket. Please try again with valid flight details.',
+          ...(status >= 500 || status === 408 ? { ambiguous: true } : {})
         };
       }
       
-      // For network or other errors
+      // For network or other errors. Without a response we can't tell whether
+      // the request reached the API, so the booking may still have been made.
       return {
         error: true,
         message: error.message,
+        code: error.code,
+        ambiguous: true,
         status: 'failed'
       };
     }
   }
 
+  // Look up an existing booking, used to reconcile bookings whose outcome is unknown.
+  // Resolves to { found: true, booking } or { found: false }; throws when the lookup isn't possible.
+  static async findBooking(ticketData) {
+    if (!BOOKING_LOOKUP_API) {
+      throw new Error('Booking lookup API is not configured');
+    }
+    
+    const passengerNames = Array.isArray(ticketData.passengerNames)
+      ? ticketData.passengerNames
+      : [ticketData.passengerNames].filter(Boolean);
+    
+    logger.info('Looking up booking', { flightNumber: ticketData.flightNumber, flightDate: ticketData.flightDate });
+    
+    try {
+      const response = await resilience.execute('findBooking', () => sendAuthorized(headers => apiClient.get(BOOKING_LOOKUP_API, {
+        headers,
+        params: {
+          flightNumber: ticketData.flightNumber,
+          flightDate: ticketData.flightDate,
+          passengerName: passengerNames[0]
+        }
+      })), { idempotent: true });
+      
+      const bookings = Array.isArray(response.data) ? response.data : [response.data].filter(Boolean);
+      return bookings.length > 0 ? { found: true, booking: bookings[0] } : { found: false };
+    } catch (error) {
+      if (error.response && error.response.status === 404) {
+        return { found: false };
+      }
+      logger.error('Error looking up booking', { error });
+      throw new Error(`Failed to look up booking: ${error.message}`);
+    }
+  }
+
   // Check-in adapter
   static async checkIn(checkInData) {
     try {
-      // Ensure we're authenticated before check-in
-      await this.ensureAuthenticated();
-      
-      console.log(`Checking in with data:`, checkInData);
+      logger.info('Checking in', { checkInData });
       
       // Format check-in data to match the API requirements
       const apiCheckInData = {
@@ -189,12 +275,12 @@ class ApiAdapters {
         passengerName: checkInData?.passengerName
       };
       
-      console.log(`Formatted API check-in data:`, apiCheckInData);
+      logger.debug('Check-in request', { url: CHECK_IN_API, apiCheckInData });
       
-      // Using POST for check-in as per the API documentation
-      const response = await apiClient.post(CHECK_IN_API, apiCheckInData);
-      console.log('Check-in response status:', response.status);
-      console.log('Check-in response data:', JSON.stringify(response.data));
+      // Using POST for check-in as per the API documentation. Check-in has no
+      // idempotency key, so only requests that never reached the API are retried.
+      const response = await resilience.execute('checkIn', () => sendAuthorized(headers => apiClient.post(CHECK_IN_API, apiCheckInData, { headers })));
+      logger.info('Check-in response', { status: response.status, responseData: response.data });
       
       // Just return the original response data to preserve the structure
       return {
@@ -203,11 +289,16 @@ class ApiAdapters {
         statusCode: response.status
       };
     } catch (error) {
-      console.error('Error checking in:', error.message);
+      if (error.code === 'CIRCUIT_OPEN') {
+        logger.warn('Check-in skipped, circuit is open', { retryAfterSeconds: error.retryAfterSeconds });
+        return unavailableResult(error);
+      }
+
+      logger.error('Error checking in', {
+        error,
+        responseData: error.response ? error.response.data : undefined
+      });
       if (error.response) {
-        console.error('Response status:', error.response.status);
-        console.error('Response data:', JSON.stringify(error.response.data || {}));
-        
         // Return the API error data for the AI to interpret
         return {
           error: true,
@@ -228,30 +319,63 @@ class ApiAdapters {
     }
   }
 
+  // Configuration problems and reachability of the airline APIs, for the
+  // readiness check. Resolves to { problems: [{ severity, message }] }.
+  static async checkHealth(options = {}) {
+    const problems = [];
+    const required = { QUERY_FLIGHT_API, BUY_TICKET_API, CHECK_IN_API };
+    for (const [name, value] of Object.entries(required)) {
+      if (!value) {
+        problems.push({ severity: 'failing', message: `${name} is not set` });
+      }
+    }
+    if (!process.env.API_USERNAME || !process.env.API_PASSWORD) {
+      problems.push({ severity: 'degraded', message: 'API_USERNAME and API_PASSWORD are not set, so bookings and check-ins are sent without a token' });
+    }
+    if (!BOOKING_LOOKUP_API) {
+      problems.push({ severity: 'degraded', message: 'BOOKING_LOOKUP_API is not set, so timed-out bookings cannot be reconciled' });
+    }
+
+    for (const circuit of resilience.openCircuits()) {
+      problems.push({ severity: 'degraded', message: `Circuit for ${circuit.endpoint} is ${circuit.state.replace('_', '-')}, so its calls fail fast` });
+    }
+
+    // Any HTTP response, even an error status, means the API is reachable
+    try {
+      await axios.get(API_BASE_URL, { timeout: options.timeout || 5000, validateStatus: () => true });
+    } catch (error) {
+      problems.push({ severity: 'failing', message: `Airline API at ${API_BASE_URL} is unreachable: ${error.message}` });
+    }
+    return { problems };
+  }
+
   // Handle authentication if needed
   static async login(credentials) {
     try {
-      console.log('Attempting to login...');
-      const response = await axios.post(`${API_BASE_URL}/api/v1/Auth/login`, credentials);
-      console.log('Login response:', response.status);
+      logger.info('Attempting to login');
+      const data = await requestToken(credentials);
       
       // Store the token for subsequent requests
-      if (response.data && response.data.token) {
-        authToken = response.data.token;
-        tokenExpiry = new Date(new Date().getTime() + 60 * 60 * 1000);
-        apiClient.defaults.headers.common['Authorization'] = `Bearer ${authToken}`;
+      if (data && data.token) {
+        tokens.store(data.token);
       }
       
-      return response.data;
+      return data;
     } catch (error) {
-      console.error('Error logging in:', error.message);
-      if (error.response) {
-        console.error('Response status:', error.response.status);
-        console.error('Response data:', error.response.data);
-      }
+      // The response body is left out; it can echo the credentials back
+      logger.error('Error logging in', { error });
       throw new Error('Failed to login');
     }
   }
 }
 
+// Time every airline API call for the airline_api_request_duration_seconds metric
+instrumentMethods(
+  ApiAdapters,
+  ['searchFlights', 'bookTicket', 'findBooking', 'checkIn', 'login'],
+  airlineApiRequestDuration,
+  {},
+  adapterOutcome
+);
+
 module.exports = ApiAdapters; 
\ No newline at end of file
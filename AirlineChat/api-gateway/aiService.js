@@ -1,38 +1,71 @@
-const OpenAI = require('openai');
+const { createLlmProvider, getCallConfig } = require('./llmProvider');
+const { today, DEFAULT_TIME_ZONE } = require('./dateParser');
+const { CONFIRMATION_STEP } = require('./confirmation');
+const RuleBasedIntentDetector = require('./ruleBasedIntentDetector');
+const { buildIntentTools, parseToolCall } = require('./intentTools');
+const logger = require('./logger').child({ component: 'aiService' });
+const { llmRequestDuration, observe, recordOutcome } = require('./metrics');
+const { withTimeout } = require('./timeout');
+
+const DEFAULT_INTENT_TIMEOUT_MS = 15000;
 
 class AiService {
-  constructor(apiKey) {
+  // Uses the given LLM provider, or the one configured with LLM_PROVIDER.
+  // Options:
+  // - intentDetector: 'llm' (default) or 'rules' to skip the model for intents
+  // - intentTimeoutMs: how long to wait for the model before using the rules
+  constructor(provider, options = {}) {
+    this.intentDetector = (options.intentDetector || process.env.INTENT_DETECTOR || 'llm').toLowerCase();
+    this.intentTimeoutMs = options.intentTimeoutMs ||
+      parseInt(process.env.LLM_INTENT_TIMEOUT_MS || DEFAULT_INTENT_TIMEOUT_MS, 10);
+    this.ruleBasedDetector = new RuleBasedIntentDetector();
+
+    if (this.intentDetector === 'rules') {
+      logger.info('Using rule-based intent detection');
+    }
+
     try {
-      this.openai = new OpenAI({
-        apiKey: apiKey || process.env.OPENAI_API_KEY
-      });
-      console.log('AiService initialized with API key:', apiKey ? 'Key provided in constructor' : 'Using environment variable');
+      this.provider = provider || createLlmProvider();
+      logger.info(`AiService initialized with ${this.provider.name} LLM provider`);
     } catch (error) {
-      console.error('Error initializing OpenAI:', error);
-      this.openai = null;
+      logger.error('Error initializing LLM provider', { error });
+      this.provider = null;
     }
   }
 
-  // Detect intent from user message
+  // Detect intent from user message by having the model call one of the
+  // intent tools. Arguments are validated against the tool's schema and
+  // malformed calls get one repair attempt. Falls back to rule-based detection
+  // when the model is unavailable, fails, times out or can't produce a valid call.
   async detectIntent(message, conversationState = {}) {
+    if (this.intentDetector === 'rules') {
+      recordOutcome('intent', 'success');
+      return this.ruleBasedDetector.detectIntent(message, conversationState);
+    }
+
     try {
-      console.log('Detecting intent for message:', message);
-      console.log('Current conversation state:', conversationState);
+      logger.debug('Detecting intent', {
+        content: message,
+        activeFlow: conversationState.activeFlow,
+        currentStep: conversationState.currentStep,
+        collectedParams: conversationState.collectedParams
+      });
       
-      // If OpenAI client is not available, throw an error
-      if (!this.openai) {
-        throw new Error('OpenAI client is not available. Please check your API key.');
+      // If the LLM provider is not available, throw an error
+      if (!this.provider) {
+        throw new Error('LLM provider is not available. Please check your LLM configuration.');
       }
       
-      console.log('Making OpenAI API request...');
       const startTime = new Date();
       
-      // Prepare conversation context for the model
+      // Prepare conversation context for the model: the recent turns and last
+      // search results come before the message we're classifying
       const messages = [
         {
           role: "system",
           content: this.getSystemPrompt(conversationState)
         },
+        ...this.contextMessages(conversationState.conversationContext),
         {
           role: "user",
           content: message
@@ -47,113 +80,118 @@ class AiService {
         });
       }
       
-      const completion = await this.openai.chat.completions.create({
-        model: "gpt-4o",
-        messages: messages,
-        temperature: 0,
-        response_format: { type: "json_object" }
-      });
+      const tools = buildIntentTools(conversationState);
+      let { intent, error } = await this.callIntentTools(messages, tools);
+      
+      // One repair attempt: tell the model what was wrong with its call
+      if (!intent) {
+        logger.warn('Invalid intent tool call, asking the model to repair it', { reason: error });
+        messages.push({
+          role: "system",
+          content: `Your previous reply was rejected: ${error}. Call exactly one of the tools, with arguments that match its schema.`
+        });
+        ({ intent, error } = await this.callIntentTools(messages, tools));
+      }
       
       const endTime = new Date();
-      console.log(`OpenAI request completed in ${endTime - startTime}ms`);
-      console.log('OpenAI response received:', completion.choices[0].message.content);
+      logger.info('Intent detection completed', { provider: this.provider.name, durationMs: endTime - startTime });
       
-      try {
-        const parsedResponse = JSON.parse(completion.choices[0].message.content);
-        
-        // Process the response for multi-step flows
-        if (conversationState.activeFlow && parsedResponse.action === 'CONTINUE_FLOW') {
-          return this.processFlowStep(parsedResponse, conversationState);
-        }
-        
-        return parsedResponse;
-      } catch (parseError) {
-        console.error('Error parsing OpenAI response:', parseError);
-        console.error('Raw response content:', completion.choices[0].message.content);
-        throw new Error('Failed to parse AI response');
+      if (!intent) {
+        throw new Error(`Invalid intent tool call after repair: ${error}`);
       }
-    } catch (error) {
-      console.error('Error detecting intent with OpenAI:', error.message);
-      console.error('Full error details:', JSON.stringify({
-        name: error.name,
-        message: error.message,
-        code: error.code,
-        status: error.status,
-        type: error.type
-      }));
+      recordOutcome('intent', 'success');
       
-      if (error.response) {
-        console.error('OpenAI API error response:', JSON.stringify(error.response.data));
+      // Process the response for multi-step flows
+      if (conversationState.activeFlow && intent.action === 'CONTINUE_FLOW') {
+        return this.processFlowStep(intent, conversationState);
       }
       
-      // Return a simple error response instead of falling back to rule-based processing
-      return { 
-        action: 'CHAT', 
-        response: "I'm sorry, I'm having trouble understanding right now. Could you try again or rephrase your request?" 
-      };
+      return intent;
+    } catch (error) {
+      // Keep the assistant usable during an outage
+      logger.error('Error detecting intent with LLM, falling back to rule-based detection', {
+        error,
+        errorType: error.type,
+        responseData: error.response ? error.response.data : undefined
+      });
+      recordOutcome('intent', 'fallback');
+      return this.ruleBasedDetector.detectIntent(message, conversationState);
     }
   }
   
+  // One intent tool call. Resolves to { intent } or { error }.
+  async callIntentTools(messages, tools) {
+    const labels = { provider: this.provider.name, call_type: 'intent', method: 'tools' };
+    const result = await observe(llmRequestDuration, labels, () => withTimeout(this.provider.completeWithTools({
+      callType: 'intent',
+      messages,
+      tools,
+      ...getCallConfig('intent')
+    }), this.intentTimeoutMs, 'Intent detection'));
+    
+    const toolCall = result.toolCalls[0];
+    // Arguments can hold passenger names, so only the tool name is logged
+    logger.info('LLM tool call received', { tool: toolCall ? toolCall.name : null, toolCalls: result.toolCalls.length });
+    
+    if (result.toolCalls.length > 1) {
+      return { error: 'more than one tool was called' };
+    }
+    return parseToolCall(toolCall, tools);
+  }
+  
+  // Chat messages for the conversation context built by the conversation engine
+  contextMessages(conversationContext) {
+    if (!conversationContext) {
+      return [];
+    }
+    const messages = [...conversationContext.messages];
+    if (conversationContext.searchResults) {
+      messages.push({ role: "system", content: conversationContext.searchResults });
+    }
+    return messages;
+  }
+  
   // Process a flow step from the AI response
   processFlowStep(response, conversationState) {
     // Simply pass through the AI's decision about the flow
     return response;
   }
   
-  // Get the appropriate system prompt based on the conversation state
+  // Get the appropriate system prompt based on the conversation state.
+  // The actions and their parameters are described by the intent tools.
   getSystemPrompt(conversationState) {
     // Basic prompt for all conversations
     let prompt = `You are an AI assistant for an airline ticketing system.
-    Your main role is to have natural conversations with users and extract intents and parameters when users request flight-related services.
-    
-    Return a JSON object with the action and parameters. Possible actions include:
-    
-    1. CHAT: For general conversation, questions, or any input not explicitly related to booking flights, checking in, etc.
-    2. QUERY_FLIGHT: When user asks to search for flights.
-    3. BUY_TICKET: When user wants to purchase a ticket.
-    4. CHECK_IN: When user wants to check in for a flight.
-    5. START_QUERY_FLOW: When user wants to search for flights but doesn't provide all parameters.
-    6. START_BUY_FLOW: When user wants to book a flight but doesn't provide all details.
-    7. START_CHECKIN_FLOW: When user wants to check in but doesn't provide all details.
-    8. CONTINUE_FLOW: When user is responding in a multi-step flow.
-    
-    For QUERY_FLIGHT, extract these parameters if provided:
-    - origin (airport code or city name)
-    - destination (airport code or city name)
-    - dateFrom (in YYYY-MM-DDThh:mm:ss.0000000 format or YYYY-MM-DD)
-    - dateTo (in YYYY-MM-DDThh:mm:ss.0000000 format or YYYY-MM-DD)
-    - passengers (number as string)
-    
-    For BUY_TICKET, extract these parameters if provided:
-    - flightNumber (e.g., "FL3940")
-    - flightDate (in format: "YYYY-MM-DD" or fuller format with time)
-    - passengerNames (array of passenger names)
-    
-    For CHECK_IN, extract these parameters if provided:
-    - flightNumber (e.g., "FL3940")
-    - date (in format: "YYYY-MM-DD" or fuller format with time)
-    - passengerName (string with passenger name)
-    
-    For CHAT, include a suggested response in the "response" field.`;
+Your main role is to have natural conversations with users and extract intents and parameters when users request flight-related services.
+
+Call exactly one of the provided tools for every user message. Fill in only the parameters the user actually gave.
+For CHAT, include a suggested reply in "response".
+
+Today is ${today(conversationState)} in the user's time zone (${conversationState.timeZone || DEFAULT_TIME_ZONE}). Copy dates the way the user said them; the system resolves them.`;
     
     // If we're in an active flow, add specific instructions for that flow
     if (conversationState.activeFlow) {
-      prompt += `\n\nThe user is currently in a ${conversationState.activeFlow} flow, at step ${conversationState.currentStep}.
-      Previously collected parameters: ${JSON.stringify(conversationState.collectedParams || {})}.
-      
-      For CONTINUE_FLOW responses, include:
-      - flow: The current flow type
-      - nextStep: The next step in the flow
-      - collectedParams: Object with all parameters collected so far, including the new one from this message
+      prompt += `\n\nThe user is currently in a ${conversationState.activeFlow} flow and was just asked for: ${conversationState.currentStep}.
+Previously collected parameters: ${JSON.stringify(conversationState.collectedParams || {})}.
+
+Use CONTINUE_FLOW for answers within this flow, with the parameters the user provided in this message in collectedParams.
+
+Only extract what the user actually said. The system decides which detail to ask for next and when the flow is complete.`;
       
-      Extract and add the appropriate parameter from the user's current message to the collectedParams.`;
+      if (conversationState.currentStep === CONFIRMATION_STEP) {
+        prompt += `\n\nThe user was shown a summary of these details and asked to confirm them.
+If they want to change a detail, call CONTINUE_FLOW with only the changed parameters in collectedParams.`;
+      }
     }
     
     return prompt;
   }
 
-  // Generate conversational response
-  async generateResponse(conversation, intent) {
+  // Generate conversational response. With an onDelta callback the reply is
+  // streamed and onDelta is called with each piece of text as it arrives; the
+  // full reply is returned either way.
+  // The conversation context, when given, goes between the persona and the conversation.
+  async generateResponse(conversation, intent, { onDelta, context } = {}) {
     try {
       const messages = [
         {
@@ -162,23 +200,50 @@ class AiService {
           You help users find flights, book tickets, and check in for their flights.
           Provide concise, user-friendly responses.`
         },
+        ...this.contextMessages(context),
         ...conversation.map(msg => ({
-          role: msg.sender === 'user' ? 'user' : 'assistant',
+          role: msg.sender === 'user' || msg.sender === 'system' ? msg.sender : 'assistant',
           content: msg.content
         }))
       ];
 
-      const completion = await this.openai.chat.completions.create({
-        model: "gpt-4o",
+      if (!this.provider) {
+        throw new Error('LLM provider is not available. Please check your LLM configuration.');
+      }
+
+      const request = {
+        callType: 'response',
         messages,
-        temperature: 0.7,
-        max_tokens: 150
-      });
+        ...getCallConfig('response')
+      };
+
+      const labels = { provider: this.provider.name, call_type: 'response' };
+      const complete = () => observe(llmRequestDuration, { ...labels, method: 'complete' }, () => this.provider.complete(request));
 
-      return completion.choices[0].message.content;
+      if (!onDelta) {
+        return await complete();
+      }
+
+      // Providers without streaming deliver the whole reply as one piece
+      if (!this.provider.stream) {
+        const content = await complete();
+        onDelta(content);
+        return content;
+      }
+
+      // A streamed call is timed until its last delta
+      return await observe(llmRequestDuration, { ...labels, method: 'stream' }, async () => {
+        let content = '';
+        for await (const delta of this.provider.stream(request)) {
+          content += delta;
+          onDelta(delta);
+        }
+        return content;
+      });
     } catch (error) {
-      console.error('Error generating response with OpenAI:', error);
-      return "I'm sorry, I encountered an issue. Can you please try again?";
+      logger.error('Error generating response with LLM', { error });
+      // Let the caller use its own fallback reply (e.g. the question for the next slot)
+      throw error;
     }
   }
 }
@@ -0,0 +1,184 @@
+const airports = require('./airports.json');
+
+// Metropolitan area codes that cover several airports
+const CITY_CODES = {
+  LON: 'London',
+  PAR: 'Paris',
+  MIL: 'Milan',
+  ROM: 'Rome',
+  MOW: 'Moscow',
+  NYC: 'New York',
+  CHI: 'Chicago',
+  WAS: 'Washington',
+  TYO: 'Tokyo',
+  BJS: 'Beijing'
+};
+
+// Words that don't help tell airports apart
+const NOISE_WORDS = /\b(airport|international|intl|airfield|havalimani|the|city of)\b/g;
+
+// Lowercase and strip accents and punctuation so "İzmir", "izmir" and "Izmir " match
+function fold(text) {
+  return String(text || '')
+    .replace(/ı/g, 'i')
+    .replace(/İ/g, 'I')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ');
+}
+
+function normalize(text) {
+  return fold(text)
+    .replace(NOISE_WORDS, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function levenshtein(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = current;
+    }
+  }
+  return previous[b.length];
+}
+
+// Typos we tolerate for a name of this length
+function maxDistance(length) {
+  if (length <= 3) return 0;
+  if (length <= 6) return 1;
+  return 2;
+}
+
+// Index every airport by its normalized city, name and aliases
+const airportsByCode = new Map(airports.map(airport => [airport.code, airport]));
+const airportsByCity = new Map();
+const namedEntries = [];
+// Airports whose name is just their city ("Istanbul Airport"), only matched
+// when the user explicitly says "airport"
+const cityNamedAirports = new Map();
+
+for (const airport of airports) {
+  const city = normalize(airport.city);
+  airportsByCity.set(city, [...(airportsByCity.get(city) || []), airport]);
+}
+
+for (const airport of airports) {
+  for (const name of [airport.name, ...airport.aliases]) {
+    const key = normalize(name);
+    if (airportsByCity.has(key)) {
+      cityNamedAirports.set(key, airport);
+    } else {
+      namedEntries.push({ key, airport });
+    }
+  }
+}
+
+function summarize(airport) {
+  return { code: airport.code, name: airport.name, city: airport.city, country: airport.country };
+}
+
+function cityResult(city, cityAirports) {
+  if (cityAirports.length === 1) {
+    return { status: 'resolved', code: cityAirports[0].code, airport: summarize(cityAirports[0]) };
+  }
+  return { status: 'ambiguous', city: cityAirports[0].city, options: cityAirports.map(summarize) };
+}
+
+// Map user text (airport code, city, airport name or a misspelling of them) to an IATA code.
+// Returns one of:
+// - { status: 'resolved', code, airport }, where airport is null for a code
+//   airports.json doesn't list; those are passed on for the airline API to check
+// - { status: 'ambiguous', city, options } when a city has several airports
+// - { status: 'not_found', input }
+function resolveAirport(input) {
+  const raw = String(input || '').trim();
+
+  // An exact IATA airport or metropolitan area code
+  if (/^[a-z]{3}$/i.test(raw)) {
+    const code = raw.toUpperCase();
+    if (airportsByCode.has(code)) {
+      return { status: 'resolved', code, airport: summarize(airportsByCode.get(code)) };
+    }
+    if (CITY_CODES[code]) {
+      return cityResult(CITY_CODES[code], airportsByCity.get(normalize(CITY_CODES[code])));
+    }
+    // airports.json only lists some airports. Unless the three letters are a
+    // city or airport name we know, take them as a code we can't check.
+    const text = normalize(raw);
+    if (text && !airportsByCity.has(text) && !namedEntries.some(entry => entry.key === text)) {
+      return { status: 'resolved', code, airport: null };
+    }
+  }
+
+  const text = normalize(raw);
+  if (!text) {
+    return { status: 'not_found', input: raw };
+  }
+
+  // An airport named explicitly wins over its city ("Istanbul Sabiha Gokcen" -> SAW)
+  const namedAirport = namedEntries.find(entry => entry.key === text);
+  if (namedAirport) {
+    return { status: 'resolved', code: namedAirport.airport.code, airport: summarize(namedAirport.airport) };
+  }
+
+  if (/\b(airport|havalimani)\b/.test(fold(raw)) && cityNamedAirports.has(text)) {
+    const airport = cityNamedAirports.get(text);
+    return { status: 'resolved', code: airport.code, airport: summarize(airport) };
+  }
+
+  if (airportsByCity.has(text)) {
+    return cityResult(text, airportsByCity.get(text));
+  }
+
+  // Text that mentions an airport by name ("Paris Orly", "Izmir Adnan Menderes"),
+  // preferring the longest name it contains
+  const padded = ` ${text} `;
+  const mentioned = namedEntries
+    .filter(entry => entry.key.length > 3 && padded.includes(` ${entry.key} `))
+    .sort((a, b) => b.key.length - a.key.length)[0];
+  if (mentioned) {
+    return { status: 'resolved', code: mentioned.airport.code, airport: summarize(mentioned.airport) };
+  }
+
+  // Fall back to the closest city or airport name within the typo tolerance
+  const candidates = [
+    ...[...airportsByCity.entries()].map(([key, cityAirports]) => ({ key, cityAirports })),
+    ...namedEntries.map(entry => ({ key: entry.key, cityAirports: [entry.airport] }))
+  ];
+
+  let best = null;
+  for (const candidate of candidates) {
+    const distance = levenshtein(text, candidate.key);
+    if (distance <= maxDistance(candidate.key.length) && (!best || distance < best.distance)) {
+      best = { ...candidate, distance };
+    }
+  }
+
+  if (best) {
+    return cityResult(best.key, best.cityAirports);
+  }
+
+  return { status: 'not_found', input: raw };
+}
+
+// The question to ask when a city has several airports
+function disambiguationQuestion(result) {
+  const options = result.options.map(option => `${option.name} (${option.code})`);
+  const list = options.length > 1
+    ? `${options.slice(0, -1).join(', ')} or ${options[options.length - 1]}`
+    : options[0];
+  return `${result.city} has ${result.options.length} airports: ${list}. Which one do you mean?`;
+}
+
+module.exports = { resolveAirport, disambiguationQuestion, normalize };
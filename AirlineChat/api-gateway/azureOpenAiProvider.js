@@ -0,0 +1,53 @@
+const OpenAI = require('openai');
+const OpenAiProvider = require('./openAiProvider');
+
+const DEFAULT_API_VERSION = '2024-06-01';
+
+// Azure OpenAI. Requests go to a deployment rather than a model, so the
+// configured model name is used as the deployment name unless
+// AZURE_OPENAI_DEPLOYMENT pins one for every call type.
+class AzureOpenAiProvider extends OpenAiProvider {
+  constructor(options = {}) {
+    const endpoint = (options.endpoint || process.env.AZURE_OPENAI_ENDPOINT || '').replace(/\/+$/, '');
+    const apiKey = options.apiKey || process.env.AZURE_OPENAI_API_KEY;
+
+    if (!endpoint || !apiKey) {
+      throw new Error('Azure OpenAI requires AZURE_OPENAI_ENDPOINT and AZURE_OPENAI_API_KEY');
+    }
+
+    const apiVersion = options.apiVersion || process.env.AZURE_OPENAI_API_VERSION || DEFAULT_API_VERSION;
+
+    // The base client isn't tied to a deployment; it's used for the models list in checkHealth
+    super({
+      name: 'azure',
+      clientOptions: {
+        apiKey,
+        baseURL: `${endpoint}/openai`,
+        defaultQuery: { 'api-version': apiVersion },
+        defaultHeaders: { 'api-key': apiKey }
+      }
+    });
+
+    this.endpoint = endpoint;
+    this.apiKey = apiKey;
+    this.apiVersion = apiVersion;
+    this.deployment = options.deployment || process.env.AZURE_OPENAI_DEPLOYMENT;
+    this.clients = new Map();
+  }
+
+  // The deployment is part of the URL, so each one gets its own client
+  getClient(model) {
+    const deployment = this.deployment || model;
+    if (!this.clients.has(deployment)) {
+      this.clients.set(deployment, new OpenAI({
+        apiKey: this.apiKey,
+        baseURL: `${this.endpoint}/openai/deployments/${encodeURIComponent(deployment)}`,
+        defaultQuery: { 'api-version': this.apiVersion },
+        defaultHeaders: { 'api-key': this.apiKey }
+      }));
+    }
+    return this.clients.get(deployment);
+  }
+}
+
+module.exports = AzureOpenAiProvider;
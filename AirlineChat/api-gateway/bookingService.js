@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+const ApiAdapters = require('./adapters');
+const logger = require('./logger').child({ component: 'bookingService' });
+
+const DEFAULT_WINDOW_MINUTES = 60;
+// A pending attempt older than this is treated as interrupted and reconciled
+const PENDING_TIMEOUT_MS = 3 * 60 * 1000;
+
+// Attempt statuses
+const SUCCEEDED = 'succeeded';
+const FAILED = 'failed';
+const PENDING = 'pending';
+const UNKNOWN = 'unknown';
+
+// Idempotency key for a booking: the same user booking the same flight, date
+// and passengers always gets the same key
+function bookingKey(userId, ticketData) {
+  const passengerNames = (Array.isArray(ticketData.passengerNames) ? ticketData.passengerNames : [ticketData.passengerNames])
+    .filter(Boolean)
+    .map(name => String(name).trim().toLowerCase().replace(/\s+/g, ' '))
+    .sort();
+
+  const fingerprint = [
+    userId,
+    String(ticketData.flightNumber || '').toUpperCase(),
+    String(ticketData.flightDate || '').substring(0, 10),
+    passengerNames.join('|')
+  ].join('\n');
+
+  return crypto.createHash('sha256').update(fingerprint).digest('hex');
+}
+
+// Books tickets at most once per idempotency key. Every attempt is recorded in
+// storage with its outcome; replays within the window return the stored result
+// instead of calling the buy ticket API again, and attempts whose outcome is
+// unknown (timeouts) are reconciled with a booking lookup.
+class BookingService {
+  constructor(storageService, options = {}) {
+    this.storageService = storageService;
+    this.adapters = options.adapters || ApiAdapters;
+
+    const windowMinutes = options.windowMinutes !== undefined
+      ? options.windowMinutes
+      : parseFloat(process.env.BOOKING_IDEMPOTENCY_WINDOW_MINUTES || DEFAULT_WINDOW_MINUTES);
+    this.windowMs = windowMinutes * 60 * 1000;
+
+    // Bookings in flight in this process, so concurrent duplicates share one call
+    this.inFlight = new Map();
+  }
+
+  async book(userId, ticketData) {
+    const key = bookingKey(userId, ticketData);
+
+    if (this.inFlight.has(key)) {
+      logger.info('Booking already in progress, waiting for its result', { bookingKey: key });
+      return this.inFlight.get(key);
+    }
+
+    const booking = this.bookOnce(userId, key, ticketData);
+    this.inFlight.set(key, booking);
+    try {
+      return await booking;
+    } finally {
+      this.inFlight.delete(key);
+    }
+  }
+
+  async bookOnce(userId, key, ticketData) {
+    const previous = await this.storageService.getBookingAttempt(userId, key);
+
+    if (previous && Date.now() - new Date(previous.createdAt).getTime() <= this.windowMs) {
+      const replay = await this.replay(previous, ticketData);
+      if (replay) {
+        return replay;
+      }
+    }
+
+    const attempt = {
+      key,
+      userId,
+      ticketData,
+      status: PENDING,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+    await this.storageService.saveBookingAttempt(attempt);
+
+    const result = await this.adapters.bookTicket(ticketData, { idempotencyKey: key });
+
+    if (!result.error) {
+      return this.record(attempt, SUCCEEDED, result);
+    }
+
+    // The API rejected the booking, so nothing was booked
+    if (!result.ambiguous) {
+      return this.record(attempt, FAILED, result);
+    }
+
+    // A timeout, dropped connection or 5xx: the booking may or may not exist
+    logger.warn('Booking outcome is unknown, reconciling', { bookingKey: key, reason: result.code || result.statusCode || result.message });
+    const { result: reconciled } = await this.reconcile(attempt, result);
+    return reconciled;
+  }
+
+  // Decide what to do with an earlier attempt for the same key. Returns the
+  // result to hand back, or null when a new booking request should be made.
+  async replay(previous, ticketData) {
+    if (previous.status === SUCCEEDED) {
+      logger.info('Booking already succeeded, returning the stored result', { bookingKey: previous.key });
+      return { ...previous.result, replayed: true };
+    }
+
+    if (previous.status === PENDING && Date.now() - new Date(previous.updatedAt).getTime() < PENDING_TIMEOUT_MS) {
+      return {
+        error: true,
+        status: PENDING,
+        message: 'A booking with these details is already being processed. Please wait a moment before trying again.'
+      };
+    }
+
+    // Interrupted or ambiguous attempts are checked against the airline before retrying
+    if (previous.status === PENDING || previous.status === UNKNOWN) {
+      const { status, result } = await this.reconcile({ ...previous, ticketData }, previous.result);
+      // Only a lookup that found nothing makes a new booking request safe;
+      // a booking it found was made by the earlier attempt
+      if (status === FAILED) {
+        return null;
+      }
+      return status === SUCCEEDED ? { ...result, replayed: true } : result;
+    }
+
+    // A failed attempt booked nothing, so it's safe to try again
+    return null;
+  }
+
+  // Look up the booking of an attempt whose outcome is unknown and record what
+  // was found. Resolves to the recorded status and result.
+  async reconcile(attempt, originalResult) {
+    let lookup;
+    try {
+      lookup = await this.adapters.findBooking(attempt.ticketData);
+    } catch (error) {
+      logger.error('Could not reconcile booking', { bookingKey: attempt.key, error });
+      const result = await this.record(attempt, UNKNOWN, {
+        error: true,
+        status: UNKNOWN,
+        message: "We couldn't confirm whether the booking went through. Please check your bookings before trying again.",
+        originalError: originalResult && originalResult.message
+      });
+      return { status: UNKNOWN, result };
+    }
+
+    if (lookup.found) {
+      logger.info('Reconciliation found booking', { bookingKey: attempt.key });
+      const result = await this.record(attempt, SUCCEEDED, { ...lookup.booking, status: 'success', reconciled: true });
+      return { status: SUCCEEDED, result };
+    }
+
+    logger.info('Reconciliation found no booking', { bookingKey: attempt.key });
+    const result = await this.record(attempt, FAILED, originalResult || { error: true, message: 'Booking was not completed' });
+    return { status: FAILED, result };
+  }
+
+  async record(attempt, status, result) {
+    await this.storageService.saveBookingAttempt({
+      ...attempt,
+      status,
+      result,
+      updatedAt: new Date().toISOString()
+    });
+    return result;
+  }
+}
+
+module.exports = BookingService;
+module.exports.bookingKey = bookingKey;
@@ -0,0 +1,91 @@
+// One chat turn: saves the user message, restores the user's flow state,
+// handles the message, then persists the flow state and the reply. The
+// /api/chat route, the Socket.io message handler and the conversation tests
+// all go through here, so a multi-step flow behaves the same on every transport.
+class ChatService {
+  constructor({ storageService, flowStateService, conversationEngine, now = () => new Date() }) {
+    this.storageService = storageService;
+    this.flowStateService = flowStateService;
+    this.conversationEngine = conversationEngine;
+    this.now = now;
+  }
+
+  // Resolves to { message, history, intent, attachments }, where message is the
+  // saved reply and history includes both new messages.
+  //
+  // Transports that stream the reply (Socket.io) also pass:
+  // - messageId: the client's id for the user message
+  // - onDelta(text): called with pieces of AI-generated replies as they are streamed
+  // - createReply(content, attachments): builds the reply message, e.g. by
+  //   finishing the stream, instead of the REST one
+  async handleMessage(userId, { message, timeZone, action, messageId, onDelta, createReply }) {
+    // Create user message
+    const receivedAt = this.now();
+    const userMessage = {
+      id: messageId || String(receivedAt.getTime()),
+      content: message,
+      timestamp: receivedAt.toISOString(),
+      sender: 'user',
+      userId
+    };
+
+    // Save user message
+    await this.storageService.saveMessage(userMessage);
+
+    // Get conversation history
+    const history = await this.storageService.getConversationHistory(userId);
+
+    // Restore the user's flow state
+    const savedFlow = await this.flowStateService.load(userId);
+    const session = {
+      userId,
+      timeZone,
+      activeFlow: null,
+      currentStep: null,
+      collectedParams: {},
+      ...savedFlow,
+      conversationHistory: history
+    };
+
+    // Process message with AI
+    const { reply, state, intent, attachments } = await this.conversationEngine.handleMessage(message, session, { action, onDelta });
+    Object.assign(session, state);
+
+    // Persist flow state for the next request
+    await this.flowStateService.save(userId, session);
+
+    // Create assistant response
+    const assistantMessage = createReply
+      ? createReply(reply, attachments)
+      : this.createReply(userId, reply, attachments);
+
+    // Save assistant message
+    await this.storageService.saveMessage(assistantMessage);
+
+    return {
+      message: assistantMessage,
+      history: [...history, userMessage, assistantMessage],
+      intent,
+      attachments
+    };
+  }
+
+  // The REST reply; the id is offset so it can't match the user message's
+  // within the same millisecond
+  createReply(userId, content, attachments) {
+    const repliedAt = this.now();
+    const assistantMessage = {
+      id: String(repliedAt.getTime() + 1),
+      content,
+      timestamp: repliedAt.toISOString(),
+      sender: 'bot',
+      userId
+    };
+    if (attachments.length > 0) {
+      assistantMessage.attachments = attachments;
+    }
+    return assistantMessage;
+  }
+}
+
+module.exports = ChatService;
@@ -0,0 +1,33 @@
+// Confirmation step for flows that change something on the airline side
+// (booking, check-in). Once such a flow has all its slots, the gateway shows a
+// summary and only runs the action after an explicit yes.
+const CONFIRMATION_STEP = 'CONFIRM';
+
+const CONFIRM_PATTERN = /^(yes|y|yeah|yep|yup|sure|ok|okay|confirm|confirmed|correct|that's right|that is right|go ahead|do it|book it|check me in|please do)\b[\s!.]*(please)?[\s!.]*$/i;
+// A bare "don't" cancels, but "don't change anything, book it" goes to the model
+const CANCEL_PATTERN = /^((cancel|stop|abort|never ?mind|forget it)\b|(don't|do not)[\s!.]*$)/i;
+const REJECT_PATTERN = /^(no|nope|nah|not quite|that's wrong|wrong)[\s!.]*$/i;
+
+// Classify a reply to the summary as 'confirm', 'cancel', 'reject' (a bare no)
+// or null when it needs the AI model, e.g. to extract an edited field
+function parseConfirmation(text) {
+  const reply = String(text || '').trim();
+  if (CONFIRM_PATTERN.test(reply)) return 'confirm';
+  if (CANCEL_PATTERN.test(reply)) return 'cancel';
+  if (REJECT_PATTERN.test(reply)) return 'reject';
+  return null;
+}
+
+// Structured summary of the collected details, one "Label: value" line per field
+function formatSummary(flow, params) {
+  const lines = flow.summary(params)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([label, value]) => `${label}: ${Array.isArray(value) ? value.join(', ') : value}`);
+
+  return `${flow.confirmTitle}
+${lines.join('\n')}
+
+Reply "yes" to confirm, tell me what you'd like to change, or say "cancel".`;
+}
+
+module.exports = { CONFIRMATION_STEP, parseConfirmation, formatSummary };
@@ -0,0 +1,63 @@
+const { describeFlight } = require('./flightResults');
+
+const DEFAULT_MAX_TOKENS = 1500;
+const DEFAULT_MAX_MESSAGES = 12;
+// Rough token estimate; close enough to keep the window within budget
+const CHARS_PER_TOKEN = 4;
+
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+}
+
+// Builds the conversation context sent to the model with each call: the most
+// recent turns that fit in a token budget, oldest first, plus the flights from
+// the user's last search, so references like "book the second one" resolve.
+class ContextBuilder {
+  constructor(options = {}) {
+    this.maxTokens = options.maxTokens ||
+      parseInt(process.env.CONTEXT_MAX_TOKENS || DEFAULT_MAX_TOKENS, 10);
+    this.maxMessages = options.maxMessages ||
+      parseInt(process.env.CONTEXT_MAX_MESSAGES || DEFAULT_MAX_MESSAGES, 10);
+  }
+
+  // Returns { messages: [{ role, content }], searchResults: string | null }.
+  // The current message is left out of the history when it's already in it.
+  build(history = [], { currentMessage, lastSearch } = {}) {
+    const turns = history.filter(message => message && message.content);
+
+    const last = turns[turns.length - 1];
+    if (last && last.sender === 'user' && last.content === currentMessage) {
+      turns.pop();
+    }
+
+    const messages = [];
+    let tokens = 0;
+    for (let i = turns.length - 1; i >= 0 && messages.length < this.maxMessages; i--) {
+      const messageTokens = estimateTokens(turns[i].content);
+      if (tokens + messageTokens > this.maxTokens) {
+        break;
+      }
+      tokens += messageTokens;
+      messages.unshift({
+        role: turns[i].sender === 'user' ? 'user' : 'assistant',
+        content: turns[i].content
+      });
+    }
+
+    return { messages, searchResults: this.describeSearch(lastSearch) };
+  }
+
+  describeSearch(lastSearch) {
+    if (!lastSearch || !Array.isArray(lastSearch.flights) || lastSearch.flights.length === 0) {
+      return null;
+    }
+
+    const { params = {} } = lastSearch;
+    const flights = lastSearch.flights.map((flight, index) => `${index + 1}. ${describeFlight(flight)}`);
+    return `Flights from the user's last search (${params.origin || '?'} to ${params.destination || '?'}, ${params.dateFrom || 'any date'}), in the order they were shown:
+${flights.join('\n')}
+When the user refers to one of these ("the second one", "the cheapest"), use its flight number and departure date.`;
+  }
+}
+
+module.exports = ContextBuilder;
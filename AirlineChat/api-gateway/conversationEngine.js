@@ -0,0 +1,259 @@
+const ApiAdapters = require('./adapters');
+const flowRegistry = require('./flows');
+const { DEFAULT_TIME_ZONE } = require('./dateParser');
+const { CONFIRMATION_STEP, parseConfirmation, formatSummary } = require('./confirmation');
+const ContextBuilder = require('./contextBuilder');
+const logger = require('./logger').child({ component: 'conversationEngine' });
+const { intentsTotal, recordOutcome } = require('./metrics');
+
+const CHAT_FALLBACK = "I'm not sure I understand. Could you please rephrase your request?";
+const CANCELLED_REPLY = "Okay, I've cancelled that. Is there anything else I can help you with?";
+const REJECTED_REPLY = 'What would you like to change? You can also say "cancel" to stop.';
+
+// Reply when the airline API's circuit is open. It's sent straight away
+// without a model call, so the user hears back fast while the API is down.
+function unavailableReply(retryAfterSeconds) {
+  const minutes = Math.max(1, Math.ceil((retryAfterSeconds || 60) / 60));
+  return `Sorry, the airline service is temporarily unavailable, so I can't do that right now. Please try again in ${minutes === 1 ? 'a minute' : `${minutes} minutes`}.`;
+}
+
+// Transport-agnostic conversation engine. Takes a user message plus the
+// session's flow state and returns the assistant reply and the new state,
+// leaving delivery and persistence to the Socket.io and REST handlers.
+class ConversationEngine {
+  constructor({ aiService, adapters = ApiAdapters, bookings = null, contextBuilder = new ContextBuilder(), now = () => new Date() }) {
+    this.aiService = aiService;
+    this.adapters = adapters;
+    this.bookings = bookings;
+    this.contextBuilder = contextBuilder;
+    this.now = now;
+  }
+
+  // Process one user message. Resolves to { reply, state, intent, attachments }.
+  // Options:
+  // - onDelta(text): called with pieces of AI-generated replies as they are streamed
+  // - action: { type: 'START_FLOW', flow, params } to start a flow directly, e.g.
+  //   from a "Book this flight" button, instead of detecting the intent
+  async handleMessage(content, session = {}, options = {}) {
+    const state = {
+      activeFlow: session.activeFlow || null,
+      currentStep: session.currentStep || null,
+      collectedParams: { ...(session.collectedParams || {}) },
+      lastSearch: session.lastSearch || null
+    };
+
+    // Dates are resolved against the current time in the user's time zone;
+    // the user id identifies their bookings
+    const context = {
+      now: this.now(),
+      timeZone: session.timeZone || DEFAULT_TIME_ZONE,
+      userId: session.userId,
+      onDelta: options.onDelta,
+      // Structured data for the reply, filled in by completed flows
+      attachments: [],
+      // Recent turns and the last search results, sent with every model call
+      conversation: this.contextBuilder.build(session.conversationHistory, {
+        currentMessage: content,
+        lastSearch: state.lastSearch
+      })
+    };
+
+    // Clear yes/no answers to a confirmation summary don't need the AI model
+    const pendingFlow = state.currentStep === CONFIRMATION_STEP ? flowRegistry.getFlow(state.activeFlow) : null;
+    const decision = pendingFlow ? parseConfirmation(content) : null;
+    if (decision) {
+      const reply = await this.handleConfirmation(decision, pendingFlow, state, context, content);
+      return { reply, state, intent: { action: 'CONFIRMATION', decision }, attachments: context.attachments };
+    }
+
+    const intent = this.actionIntent(options.action) || await this.aiService.detectIntent(content, {
+      ...state,
+      now: context.now,
+      timeZone: context.timeZone,
+      conversationContext: context.conversation
+    });
+    logger.info('Detected intent', { action: intent.action, source: intent.source, parameters: intent.parameters });
+    intentsTotal.inc({ action: intent.action || 'UNKNOWN' });
+
+    let reply;
+    const startedFlow = flowRegistry.getFlow(intent.action) || flowRegistry.getFlowByStartAction(intent.action);
+    const continuedFlow = intent.action === 'CONTINUE_FLOW'
+      ? flowRegistry.getFlow(state.activeFlow || intent.flow)
+      : null;
+
+    if (startedFlow) {
+      // A one-shot intent or an explicit flow start both start the flow (or add
+      // to it if it's already active); if the model extracted everything we
+      // need it completes right away
+      if (state.activeFlow !== startedFlow.name) {
+        this.resetFlow(state);
+        state.activeFlow = startedFlow.name;
+      }
+      reply = await this.advanceFlow(startedFlow, intent.parameters, state, context, content, intent.response);
+    } else if (continuedFlow) {
+      state.activeFlow = continuedFlow.name;
+      reply = await this.advanceFlow(continuedFlow, intent.collectedParams || intent.parameters, state, context, content, intent.response);
+    } else {
+      reply = intent.response || CHAT_FALLBACK;
+    }
+
+    return { reply, state, intent, attachments: context.attachments };
+  }
+
+  // The intent for a client action, or null when there is no valid action.
+  // Only the flow's own slots are taken from the action's parameters.
+  actionIntent(action) {
+    if (!action || action.type !== 'START_FLOW') {
+      return null;
+    }
+
+    const flow = flowRegistry.getFlow(action.flow);
+    if (!flow) {
+      logger.warn('Ignoring action for unknown flow', { flow: action.flow });
+      return null;
+    }
+
+    const params = action.params || {};
+    const parameters = Object.fromEntries(flow.slots
+      .filter(slot => params[slot.name] !== undefined)
+      .map(slot => [slot.name, params[slot.name]]));
+
+    return { action: flow.startAction, parameters, source: 'action' };
+  }
+
+  // Validate newly extracted parameters, then either ask for the next missing
+  // slot or run the flow's action. The gateway, not the model, decides which
+  // step comes next and when the flow is complete.
+  async advanceFlow(flow, newParams, state, context, content, suggestedReply) {
+    const { params, errors } = flowRegistry.mergeParams(flow, state.collectedParams, newParams, context);
+    state.collectedParams = params;
+
+    // Ask a validator's clarifying question as is, e.g. which of a city's airports
+    const clarification = errors.find(item => item.question);
+    if (clarification) {
+      state.currentStep = clarification.slot;
+      return clarification.question;
+    }
+
+    const missingSlot = flowRegistry.nextMissingSlot(flow, params);
+    if (missingSlot) {
+      state.currentStep = missingSlot.name;
+      return this.askForSlot(flow, missingSlot, params, errors, context, content, suggestedReply);
+    }
+
+    // Show what we're about to do and wait for an explicit yes
+    if (flow.requiresConfirmation) {
+      state.currentStep = CONFIRMATION_STEP;
+      const problems = errors.map(item => `Note: ${item.error}.`).join('\n');
+      return `${problems ? `${problems}\n\n` : ''}${formatSummary(flow, flowRegistry.applyDefaults(flow, params))}`;
+    }
+
+    return this.completeFlow(flow, state, context, content);
+  }
+
+  async handleConfirmation(decision, flow, state, context, content) {
+    if (decision === 'confirm') {
+      logger.info(`User confirmed ${flow.name}`);
+      return this.completeFlow(flow, state, context, content);
+    }
+
+    if (decision === 'cancel') {
+      logger.info(`User cancelled ${flow.name}`);
+      this.resetFlow(state);
+      return CANCELLED_REPLY;
+    }
+
+    // A bare "no": stay on the summary until they say what to change
+    return REJECTED_REPLY;
+  }
+
+  // Run the flow's action with everything collected so far
+  async completeFlow(flow, state, context, content) {
+    const params = flowRegistry.applyDefaults(flow, state.collectedParams);
+    const { reply, succeeded, result } = await this.runFlow(flow, params, context, content);
+
+    // Reset the flow once its action went through; keep it so the user can retry otherwise
+    if (succeeded) {
+      this.resetFlow(state);
+      if (flow.remember) {
+        Object.assign(state, flow.remember(params, result));
+      }
+      if (flow.attachment) {
+        context.attachments.push(flow.attachment(params, result));
+      }
+    }
+
+    return reply;
+  }
+
+  // Call the backend for a completed flow and have the AI describe the outcome
+  async runFlow(flow, params, context, content) {
+    try {
+      logger.info(`Processing ${flow.name}`, { params });
+      const services = { adapters: this.adapters, bookings: this.bookings, userId: context.userId };
+      const result = await flow.execute(services, params);
+      logger.debug(`${flow.name} result`, { result });
+
+      if (result && result.code === 'CIRCUIT_OPEN') {
+        recordOutcome('flow', 'unavailable', flow.name);
+        return { reply: unavailableReply(result.retryAfterSeconds), succeeded: false };
+      }
+      recordOutcome('flow', result && result.error ? 'api_error' : 'success', flow.name);
+
+      const reply = await this.respond(flow, flow.resultPrompt(params, result), context, content);
+      return { reply, succeeded: true, result };
+    } catch (error) {
+      if (error.code === 'CIRCUIT_OPEN') {
+        recordOutcome('flow', 'unavailable', flow.name);
+        return { reply: unavailableReply(error.retryAfterSeconds), succeeded: false };
+      }
+
+      logger.error(`Error processing ${flow.name}`, { error });
+      recordOutcome('flow', 'error', flow.name);
+
+      // Even for errors, use AI to generate a response
+      const reply = await this.respond(flow, flow.errorPrompt(params, error), context, content, flow.errorFallback);
+      return { reply, succeeded: false };
+    }
+  }
+
+  askForSlot(flow, slot, params, errors, context, content, suggestedReply) {
+    const problems = errors.length > 0
+      ? `\nSome details the user gave are not valid: ${errors.map(item => `${item.slot}: ${item.error}`).join('; ')}. Briefly explain the problem.`
+      : '';
+
+    const prompt = `The user is ${flow.purpose}. Details collected so far: ${JSON.stringify(params)}.${problems}
+Generate a natural conversational response that acknowledges what they've provided and asks only for the ${slot.prompt}.`;
+
+    return this.respond(flow, prompt, context, content, suggestedReply || `Could you please tell me the ${slot.prompt}?`);
+  }
+
+  resetFlow(state) {
+    state.activeFlow = null;
+    state.currentStep = null;
+    state.collectedParams = {};
+  }
+
+  // Generate a reply in the voice of the given flow's assistant
+  respond(flow, prompt, context, content, fallback) {
+    return this.generate(`You are an ${flow.role}. ${prompt}`, context, content, fallback);
+  }
+
+  // Replies are streamed through context.onDelta when the transport supports it
+  async generate(prompt, context, content, fallback = CHAT_FALLBACK) {
+    try {
+      const reply = await this.aiService.generateResponse([
+        { sender: 'system', content: prompt },
+        { sender: 'user', content }
+      ], undefined, { onDelta: context.onDelta, context: context.conversation });
+      recordOutcome('response', 'success');
+      return reply;
+    } catch (error) {
+      logger.error('Error generating AI response', { error });
+      recordOutcome('response', 'fallback');
+      return fallback;
+    }
+  }
+}
+
+module.exports = ConversationEngine;
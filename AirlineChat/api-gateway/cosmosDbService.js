@@ -1,13 +1,17 @@
 const { CosmosClient } = require('@azure/cosmos');
+const logger = require('./logger').child({ component: 'cosmosDbService' });
 
 class CosmosDbService {
   constructor(config) {
+    this.name = 'cosmos';
+
     // Log environment variables for debugging
-    console.log('Cosmos DB Environment Variables:');
-    console.log(`- COSMOS_ENDPOINT: ${process.env.COSMOS_ENDPOINT ? 'Set' : 'Not set'}`);
-    console.log(`- COSMOS_KEY: ${process.env.COSMOS_KEY ? 'Set (Length: ' + process.env.COSMOS_KEY.length + ')' : 'Not set'}`);
-    console.log(`- COSMOS_DATABASE: ${process.env.COSMOS_DATABASE || 'Not set, using default: AirlineChatDB'}`);
-    console.log(`- COSMOS_CONTAINER: ${process.env.COSMOS_CONTAINER || 'Not set, using default: ChatMessages'}`);
+    logger.info('Cosmos DB environment variables', {
+      cosmosEndpoint: process.env.COSMOS_ENDPOINT ? 'Set' : 'Not set',
+      cosmosKey: process.env.COSMOS_KEY ? 'Set' : 'Not set',
+      cosmosDatabase: process.env.COSMOS_DATABASE || 'Not set, using default: AirlineChatDB',
+      cosmosContainer: process.env.COSMOS_CONTAINER || 'Not set, using default: ChatMessages'
+    });
     
     this.config = config || {
       endpoint: process.env.COSMOS_ENDPOINT,
@@ -18,8 +22,9 @@ class CosmosDbService {
     
     // Check if the required configuration is available
     if (!this.config.endpoint || !this.config.key) {
-      console.warn('Missing Cosmos DB configuration - will use in-memory storage instead');
-      console.warn('To use Cosmos DB, please set COSMOS_ENDPOINT and COSMOS_KEY environment variables');
+      logger.warn('Missing Cosmos DB configuration - conversation history will not be stored');
+      logger.warn('To use Cosmos DB, please set COSMOS_ENDPOINT and COSMOS_KEY environment variables');
+      logger.warn('To run without Azure, set STORAGE_PROVIDER to "memory" or "sqlite"');
       this.client = null;
       return;
     }
@@ -29,10 +34,10 @@ class CosmosDbService {
         endpoint: this.config.endpoint,
         key: this.config.key
       });
-      console.log('Cosmos DB client created successfully');
+      logger.info('Cosmos DB client created successfully');
     } catch (error) {
-      console.error('Error creating Cosmos DB client:', error);
-      console.warn('Will use in-memory storage instead');
+      logger.error('Error creating Cosmos DB client', { error });
+      logger.warn('Conversation history will not be stored');
       this.client = null;
     }
     
@@ -42,29 +47,30 @@ class CosmosDbService {
 
   async initialize() {
     if (!this.client) {
-      console.error('Cannot initialize: Cosmos DB client is not created');
+      logger.error('Cannot initialize: Cosmos DB client is not created');
       return false;
     }
     
     try {
-      console.log('Attempting to connect to Cosmos DB...');
-      console.log(`Database ID: ${this.config.databaseId}`);
-      console.log(`Container ID: ${this.config.containerId}`);
-      console.log(`Endpoint: ${this.config.endpoint.substring(0, 30)}...`);
+      logger.info('Attempting to connect to Cosmos DB...', {
+        databaseId: this.config.databaseId,
+        containerId: this.config.containerId,
+        endpoint: `${this.config.endpoint.substring(0, 30)}...`
+      });
       
       // Test the connection first
       try {
-        console.log('Testing connection to Cosmos DB...');
+        logger.info('Testing connection to Cosmos DB...');
         await this.client.getDatabaseAccount();
-        console.log('Connection test successful!');
+        logger.info('Connection test successful!');
       } catch (connectionError) {
-        console.error('Connection test failed:', connectionError.message);
+        logger.error('Connection test failed', { error: connectionError });
         if (connectionError.code === 'Unauthorized') {
-          console.error('Unauthorized: The provided key is invalid or has expired');
+          logger.error('Unauthorized: The provided key is invalid or has expired');
         } else if (connectionError.code === 'NotFound') {
-          console.error('NotFound: The Cosmos DB account does not exist');
+          logger.error('NotFound: The Cosmos DB account does not exist');
         } else if (connectionError.code === 'ENOTFOUND') {
-          console.error('ENOTFOUND: The endpoint hostname cannot be resolved. Check the endpoint value.');
+          logger.error('ENOTFOUND: The endpoint hostname cannot be resolved. Check the endpoint value.');
         }
         return false;
       }
@@ -74,7 +80,7 @@ class CosmosDbService {
         id: this.config.databaseId
       });
       this.database = database;
-      console.log(`Database '${this.config.databaseId}' connected/created successfully`);
+      logger.info(`Database '${this.config.databaseId}' connected/created successfully`);
       
       // Check if the container exists
       const { container } = await this.database.containers.createIfNotExists({
@@ -82,11 +88,11 @@ class CosmosDbService {
         partitionKey: { paths: ["/userId"] }
       });
       this.container = container;
-      console.log(`Container '${this.config.containerId}' connected/created successfully`);
+      logger.info(`Container '${this.config.containerId}' connected/created successfully`);
       
       // Test write permission with a test document
       try {
-        console.log('Testing write permission with a test document...');
+        logger.info('Testing write permission with a test document...');
         const testDoc = {
           id: `test-${Date.now()}`,
           type: 'test',
@@ -95,35 +101,29 @@ class CosmosDbService {
         };
         
         const { resource: createdItem } = await this.container.items.create(testDoc);
-        console.log('Test document created successfully with id:', createdItem.id);
+        logger.info('Test document created successfully', { id: createdItem.id });
         
         // Try to delete the test document to clean up
         try {
           await this.container.item(createdItem.id).delete();
-          console.log('Test document deleted successfully');
+          logger.info('Test document deleted successfully');
         } catch (deleteError) {
-          console.warn('Could not delete test document, but write permission is confirmed:', deleteError.message);
+          logger.warn('Could not delete test document, but write permission is confirmed', { error: deleteError });
         }
       } catch (writeError) {
-        console.error('Failed to create test document - write permission issue:');
-        console.error('- Error Name:', writeError.name);
-        console.error('- Error Message:', writeError.message);
-        console.error('- Error Code:', writeError.code);
+        logger.error('Failed to create test document - write permission issue', { error: writeError });
         return false;
       }
       
-      console.log('Connected to Azure Cosmos DB');
+      logger.info('Connected to Azure Cosmos DB');
       return true;
     } catch (error) {
-      console.error('Error initializing Cosmos DB connection:');
-      console.error('- Error Name:', error.name);
-      console.error('- Error Message:', error.message);
-      console.error('- Error Code:', error.code);
+      logger.error('Error initializing Cosmos DB connection', { error });
       
       if (error.code === 'NotFound') {
-        console.error('The database or container was not found. Please make sure they exist.');
+        logger.error('The database or container was not found. Please make sure they exist.');
       } else if (error.code === 'Unauthorized') {
-        console.error('Invalid credentials. Please check your Cosmos DB key.');
+        logger.error('Invalid credentials. Please check your Cosmos DB key.');
       }
       
       return false;
@@ -132,31 +132,28 @@ class CosmosDbService {
 
   async saveMessage(message) {
     if (!this.container) {
-      console.warn('Cosmos DB container not initialized');
+      logger.warn('Cosmos DB container not initialized');
       return null;
     }
     
     try {
-      console.log('Attempting to save message to Cosmos DB:', JSON.stringify({
+      logger.debug('Attempting to save message to Cosmos DB', {
         id: message.id,
-        sender: message.sender, 
+        sender: message.sender,
         userId: message.userId
-      }));
+      });
       const { resource: createdItem } = await this.container.items.create(message);
-      console.log('Message successfully saved to Cosmos DB with id:', createdItem.id);
+      logger.debug('Message successfully saved to Cosmos DB', { id: createdItem.id });
       return createdItem;
     } catch (error) {
-      console.error('Error saving message to Cosmos DB:');
-      console.error('- Error Name:', error.name);
-      console.error('- Error Message:', error.message);
-      console.error('- Error Code:', error.code);
+      logger.error('Error saving message to Cosmos DB', { error });
       
       if (error.code === 'NotFound') {
-        console.error('The database or container was not found. Please check container/database existence.');
+        logger.error('The database or container was not found. Please check container/database existence.');
       } else if (error.code === 'Unauthorized') {
-        console.error('Unauthorized: Insufficient permissions to create documents.');
+        logger.error('Unauthorized: Insufficient permissions to create documents.');
       } else if (error.code === 'PartitionKeyMismatch') {
-        console.error('Partition key issue: The message partition key doesn\'t match container definition.');
+        logger.error('Partition key issue: The message partition key doesn\'t match container definition.');
       }
       
       return null;
@@ -165,13 +162,13 @@ class CosmosDbService {
 
   async getConversationHistory(userId, limit = 20) {
     if (!this.container) {
-      console.warn('Cosmos DB container not initialized');
+      logger.warn('Cosmos DB container not initialized');
       return [];
     }
     
     try {
       const querySpec = {
-        query: 'SELECT * FROM c WHERE c.userId = @userId ORDER BY c.timestamp DESC OFFSET 0 LIMIT @limit',
+        query: 'SELECT * FROM c WHERE c.userId = @userId AND NOT IS_DEFINED(c.docType) ORDER BY c.timestamp DESC OFFSET 0 LIMIT @limit',
         parameters: [
           {
             name: '@userId',
@@ -187,23 +184,23 @@ class CosmosDbService {
       const { resources: items } = await this.container.items.query(querySpec).fetchAll();
       return items.reverse(); // Return in chronological order
     } catch (error) {
-      console.error('Error retrieving conversation history from Cosmos DB:', error);
+      logger.error('Error retrieving conversation history from Cosmos DB', { error });
       return [];
     }
   }
 
   async deleteConversationHistory(userId) {
     if (!this.container) {
-      console.warn('Cosmos DB container not initialized');
+      logger.warn('Cosmos DB container not initialized');
       return false;
     }
     
     try {
-      console.log(`Deleting conversation history for user: ${userId}`);
+      logger.info(`Deleting conversation history for user: ${userId}`);
       
       // Query to find all messages for this user
       const querySpec = {
-        query: 'SELECT c.id FROM c WHERE c.userId = @userId',
+        query: 'SELECT c.id FROM c WHERE c.userId = @userId AND NOT IS_DEFINED(c.docType)',
         parameters: [
           {
             name: '@userId',
@@ -213,7 +210,7 @@ class CosmosDbService {
       };
       
       const { resources: items } = await this.container.items.query(querySpec).fetchAll();
-      console.log(`Found ${items.length} messages to delete for user ${userId}`);
+      logger.info(`Found ${items.length} messages to delete for user ${userId}`);
       
       // Delete each message
       const deletePromises = items.map(item => 
@@ -221,17 +218,122 @@ class CosmosDbService {
       );
       
       await Promise.allSettled(deletePromises);
-      console.log(`Successfully deleted conversation history for user ${userId}`);
+      logger.info(`Successfully deleted conversation history for user ${userId}`);
       
       return true;
     } catch (error) {
-      console.error('Error deleting conversation history from Cosmos DB:', error);
-      console.error('- Error Name:', error.name);
-      console.error('- Error Message:', error.message);
-      console.error('- Error Code:', error.code);
+      logger.error('Error deleting conversation history from Cosmos DB', { error });
       return false;
     }
   }
+
+  // Session documents share the messages container and partition, and are told
+  // apart from chat messages by their docType field
+  async saveSession(userId, state) {
+    if (!this.container) {
+      logger.warn('Cosmos DB container not initialized');
+      return null;
+    }
+    
+    try {
+      const { resource: savedItem } = await this.container.items.upsert({
+        ...state,
+        id: 'session',
+        docType: 'session',
+        userId
+      });
+      return savedItem;
+    } catch (error) {
+      logger.error('Error saving session to Cosmos DB', { error });
+      return null;
+    }
+  }
+
+  async getSession(userId) {
+    if (!this.container) {
+      logger.warn('Cosmos DB container not initialized');
+      return null;
+    }
+    
+    try {
+      const { resource: item } = await this.container.item('session', userId).read();
+      return item || null;
+    } catch (error) {
+      if (error.code === 404) {
+        return null;
+      }
+      logger.error('Error retrieving session from Cosmos DB', { error });
+      return null;
+    }
+  }
+
+  async deleteSession(userId) {
+    if (!this.container) {
+      logger.warn('Cosmos DB container not initialized');
+      return false;
+    }
+    
+    try {
+      await this.container.item('session', userId).delete();
+      return true;
+    } catch (error) {
+      if (error.code === 404) {
+        return true;
+      }
+      logger.error('Error deleting session from Cosmos DB', { error });
+      return false;
+    }
+  }
+
+  // Booking attempts are stored per user with the idempotency key as their id
+  async saveBookingAttempt(attempt) {
+    if (!this.container) {
+      logger.warn('Cosmos DB container not initialized');
+      return null;
+    }
+    
+    try {
+      const { resource: savedItem } = await this.container.items.upsert({
+        ...attempt,
+        id: `booking-${attempt.key}`,
+        docType: 'bookingAttempt'
+      });
+      return savedItem;
+    } catch (error) {
+      logger.error('Error saving booking attempt to Cosmos DB', { error });
+      return null;
+    }
+  }
+
+  async getBookingAttempt(userId, key) {
+    if (!this.container) {
+      logger.warn('Cosmos DB container not initialized');
+      return null;
+    }
+    
+    try {
+      const { resource: item } = await this.container.item(`booking-${key}`, userId).read();
+      return item || null;
+    } catch (error) {
+      if (error.code === 404) {
+        return null;
+      }
+      logger.error('Error retrieving booking attempt from Cosmos DB', { error });
+      return null;
+    }
+  }
+
+  // Used by the readiness check; throws when the container can't be reached
+  async checkHealth() {
+    if (!this.client) {
+      throw new Error('Cosmos DB is not configured (COSMOS_ENDPOINT and COSMOS_KEY are required)');
+    }
+    if (!this.container) {
+      throw new Error('Cosmos DB container not initialized');
+    }
+    await this.container.read();
+    return true;
+  }
 }
 
 module.exports = CosmosDbService; 
\ No newline at end of file
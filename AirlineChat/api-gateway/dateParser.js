@@ -0,0 +1,291 @@
+// Deterministic natural-language date parsing for flight slots. Phrases such as
+// "next Friday", "tomorrow evening", "the 3rd" or "between May 2 and 5" are
+// resolved against the current date in the user's time zone, so the result
+// doesn't depend on what the AI model thinks today is.
+//
+// Conventions:
+// - "Friday" / "this Friday": the nearest Friday on or after today
+// - "next Friday": the Friday of next week (weeks start on Monday)
+// - "the 3rd", "May 2": the next time that day comes around, never the past
+// - numeric dates are day first: 02/05/2025 is 2 May 2025
+const DEFAULT_TIME_ZONE = process.env.DEFAULT_TIMEZONE || 'UTC';
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july',
+  'august', 'september', 'october', 'november', 'december'];
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const NUMBER_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7 };
+const PARTS_OF_DAY = { morning: '09:00', noon: '12:00', afternoon: '14:00', evening: '18:00', night: '21:00', tonight: '20:00' };
+
+const MONTH_PATTERN = '(jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?';
+const DAY_PATTERN = '(\\d{1,2})(?:st|nd|rd|th)?';
+
+// Date format each adapter expects
+const ADAPTER_DATE_FORMATS = {
+  searchFlights: 'datetime', // YYYY-MM-DDThh:mm:ss.0000000
+  bookTicket: 'date', // YYYY-MM-DD
+  checkIn: 'date' // YYYY-MM-DD
+};
+
+// Dates are handled as UTC midnights so day arithmetic ignores DST changes
+function makeDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  // Reject overflow such as 31 April
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date;
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * 24 * 60 * 60 * 1000);
+}
+
+function toISODate(date) {
+  return date.toISOString().substring(0, 10);
+}
+
+// Today's date in the given time zone
+function today({ now = new Date(), timeZone = DEFAULT_TIME_ZONE } = {}) {
+  let parts;
+  try {
+    parts = new Intl.DateTimeFormat('en-US', { timeZone, year: 'numeric', month: 'numeric', day: 'numeric' })
+      .formatToParts(now);
+  } catch (error) {
+    // Unknown time zone names fall back to the default
+    parts = new Intl.DateTimeFormat('en-US', { timeZone: DEFAULT_TIME_ZONE, year: 'numeric', month: 'numeric', day: 'numeric' })
+      .formatToParts(now);
+  }
+  const value = type => parseInt(parts.find(part => part.type === type).value, 10);
+  return makeDate(value('year'), value('month'), value('day'));
+}
+
+function monthIndex(name) {
+  return MONTHS.findIndex(month => month.startsWith(name.replace('.', '').substring(0, 3))) + 1;
+}
+
+// The next date with this month/day that is not before today
+function upcomingMonthDay(month, day, base, year) {
+  if (year) {
+    return makeDate(year, month, day);
+  }
+  const thisYear = makeDate(base.getUTCFullYear(), month, day);
+  if (thisYear && thisYear >= base) {
+    return thisYear;
+  }
+  return makeDate(base.getUTCFullYear() + 1, month, day);
+}
+
+// The next date with this day of month that is not before today
+function upcomingDayOfMonth(day, base) {
+  for (let offset = 0; offset < 12; offset++) {
+    const date = makeDate(base.getUTCFullYear(), base.getUTCMonth() + 1 + offset, day);
+    if (date && date >= base) {
+      return date;
+    }
+  }
+  return null;
+}
+
+function weekday(name, modifier, base) {
+  const target = WEEKDAYS.indexOf(name);
+  if (modifier === 'next') {
+    // Same weekday in the following Monday-based week
+    const mondayNextWeek = addDays(base, ((8 - base.getUTCDay()) % 7) || 7);
+    return addDays(mondayNextWeek, (target + 6) % 7);
+  }
+  return addDays(base, (target - base.getUTCDay() + 7) % 7);
+}
+
+function expandYear(year) {
+  const value = parseInt(year, 10);
+  return value < 100 ? 2000 + value : value;
+}
+
+// Extract a time of day ("10am", "14:30", "evening") and return the rest of the text
+function extractTime(text) {
+  let match = text.match(/\b(\d{1,2})(?::(\d{2}))?\s*(am|pm)\b/);
+  if (match) {
+    let hours = parseInt(match[1], 10) % 12;
+    if (match[3] === 'pm') hours += 12;
+    const time = `${String(hours).padStart(2, '0')}:${match[2] || '00'}`;
+    return { time, rest: text.replace(match[0], ' ') };
+  }
+
+  match = text.match(/\b(?:at\s+)?([01]?\d|2[0-3]):([0-5]\d)\b/);
+  if (match) {
+    return { time: `${match[1].padStart(2, '0')}:${match[2]}`, rest: text.replace(match[0], ' ') };
+  }
+
+  match = text.match(/\b(?:in the\s+)?(morning|noon|afternoon|evening|night)\b/);
+  if (match) {
+    return { time: PARTS_OF_DAY[match[1]], rest: text.replace(match[0], ' ') };
+  }
+
+  return { time: null, rest: text };
+}
+
+function clean(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/,/g, ' ')
+    .replace(/\b(on|the|of|for|departing|leaving)\b/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Parse the date part of a phrase (no time of day) into a UTC midnight Date
+function parseDay(text, base) {
+  let match;
+
+  if ((match = text.match(/^(\d{4})-(\d{2})-(\d{2})$/))) {
+    return makeDate(parseInt(match[1], 10), parseInt(match[2], 10), parseInt(match[3], 10));
+  }
+
+  if ((match = text.match(/^(\d{1,2})[./](\d{1,2})(?:[./](\d{2,4}))?$/))) {
+    const day = parseInt(match[1], 10);
+    const month = parseInt(match[2], 10);
+    return upcomingMonthDay(month, day, base, match[3] && expandYear(match[3]));
+  }
+
+  if (text === 'yesterday') return addDays(base, -1);
+  if (text === 'today' || text === 'tonight') return base;
+  if (text === 'tomorrow') return addDays(base, 1);
+  if (text === 'day after tomorrow') return addDays(base, 2);
+
+  if ((match = text.match(/^in (\d+|a|an|one|two|three|four|five|six|seven) (day|week)s?$/))) {
+    const amount = NUMBER_WORDS[match[1]] || parseInt(match[1], 10);
+    return addDays(base, match[2] === 'week' ? amount * 7 : amount);
+  }
+
+  if ((match = text.match(/^(?:(this|next|coming) )?(sunday|monday|tuesday|wednesday|thursday|friday|saturday)$/))) {
+    return weekday(match[2], match[1], base);
+  }
+
+  if ((match = text.match(new RegExp(`^${MONTH_PATTERN} ${DAY_PATTERN}(?: (\\d{4}))?$`)))) {
+    return upcomingMonthDay(monthIndex(match[1]), parseInt(match[2], 10), base, match[3] && parseInt(match[3], 10));
+  }
+
+  if ((match = text.match(new RegExp(`^${DAY_PATTERN} ${MONTH_PATTERN}(?: (\\d{4}))?$`)))) {
+    return upcomingMonthDay(monthIndex(match[2]), parseInt(match[1], 10), base, match[3] && parseInt(match[3], 10));
+  }
+
+  if ((match = text.match(/^(\d{1,2})(?:st|nd|rd|th)$/))) {
+    return upcomingDayOfMonth(parseInt(match[1], 10), base);
+  }
+
+  return null;
+}
+
+// Parse a single date. Returns { date: 'YYYY-MM-DD', time: 'hh:mm' | null } or null.
+function parseDate(input, options = {}) {
+  const base = today(options);
+
+  // ISO dates, optionally with a time ("2025-05-02T10:00:00.0000000")
+  const iso = String(input || '').trim().match(/^(\d{4}-\d{2}-\d{2})(?:[T ](\d{2}:\d{2})(?::\d{2}(?:\.\d+)?)?Z?)?$/i);
+  if (iso) {
+    const date = parseDay(iso[1], base);
+    return date ? { date: toISODate(date), time: iso[2] || null } : null;
+  }
+
+  const { time, rest } = extractTime(clean(input));
+  const text = rest.replace(/\s+/g, ' ').trim() || (time ? 'today' : '');
+
+  // A bare "tonight" also sets the time
+  const impliedTime = text === 'tonight' ? PARTS_OF_DAY.tonight : null;
+
+  const date = parseDay(text, base);
+  return date ? { date: toISODate(date), time: time || impliedTime } : null;
+}
+
+// Parse a date range. Single dates become a one-day range.
+// Returns { from: 'YYYY-MM-DD', to: 'YYYY-MM-DD' } or null.
+function parseDateRange(input, options = {}) {
+  const base = today(options);
+  const text = clean(input);
+  let match;
+
+  if ((match = text.match(/^(this|next)? ?weekend$/))) {
+    // On a Sunday "this weekend" only has today left
+    if (match[1] !== 'next' && base.getUTCDay() === 0) {
+      return { from: toISODate(base), to: toISODate(base) };
+    }
+    const saturday = weekday('saturday', match[1] === 'next' ? 'next' : null, base);
+    return { from: toISODate(saturday), to: toISODate(addDays(saturday, 1)) };
+  }
+
+  if (text === 'next week') {
+    const monday = weekday('monday', 'next', base);
+    return { from: toISODate(monday), to: toISODate(addDays(monday, 6)) };
+  }
+
+  const single = parseDate(input, options);
+  if (single) {
+    return { from: single.date, to: single.date };
+  }
+
+  // Words before dashes, and a whole ISO date before a dash, so the dashes
+  // inside "2026-10-20 to 2026-10-22" don't split it
+  match = text.match(/^(?:between|from) (.+?) (?:and|to|until|till) (.+)$/) ||
+    text.match(/^(.+?) (?:to|until|till) (.+)$/) ||
+    text.match(/^(\d{4}-\d{2}-\d{2}|.+?)\s*[-–]\s*(.+)$/);
+  if (!match) {
+    return null;
+  }
+
+  let start = match[1].trim();
+  let end = match[2].trim();
+
+  // "May 2 and 5" -> the end inherits the start's month
+  const startMonth = start.match(new RegExp(`^${MONTH_PATTERN}`));
+  if (/^\d{1,2}(st|nd|rd|th)?$/.test(end) && startMonth) {
+    end = `${startMonth[0]} ${end}`;
+  }
+  // "2 to 5 May" -> the start inherits the end's month
+  const endMonth = end.match(new RegExp(`${MONTH_PATTERN}$`));
+  if (/^\d{1,2}(st|nd|rd|th)?$/.test(start) && endMonth) {
+    start = `${start} ${endMonth[0]}`;
+  }
+
+  const from = parseDate(start, options);
+  const to = parseDate(end, options);
+  if (!from || !to) {
+    return null;
+  }
+
+  if (to.date < from.date && to.date.substring(5, 7) < from.date.substring(5, 7)) {
+    // "Dec 30 to Jan 2" crosses into the next year
+    const nextYear = parseDate(`${end} ${parseInt(from.date.substring(0, 4), 10) + 1}`, options);
+    return nextYear ? { from: from.date, to: nextYear.date } : null;
+  }
+
+  return to.date >= from.date ? { from: from.date, to: to.date } : null;
+}
+
+function isPastDate(date, options = {}) {
+  return date.substring(0, 10) < toISODate(today(options));
+}
+
+// Format a parsed date value ('YYYY-MM-DD' or 'YYYY-MM-DDThh:mm') the way an adapter expects it
+function formatForAdapter(value, adapter, { endOfDay = false } = {}) {
+  if (!value) {
+    return value;
+  }
+
+  const [date, time] = String(value).split('T');
+
+  if (ADAPTER_DATE_FORMATS[adapter] === 'datetime') {
+    const clock = time ? `${time.substring(0, 5)}:00` : (endOfDay ? '23:59:59' : '00:00:00');
+    return `${date}T${clock}.0000000`;
+  }
+
+  return date;
+}
+
+module.exports = {
+  parseDate,
+  parseDateRange,
+  isPastDate,
+  formatForAdapter,
+  today: options => toISODate(today(options)),
+  DEFAULT_TIME_ZONE
+};
@@ -0,0 +1,70 @@
+// Helpers for flight search results. The search API's response shape isn't
+// fixed (a bare array, or wrapped in flights/items/data/results) and neither
+// are the field names, so results are normalized here before they are kept
+// in the conversation state.
+const MAX_FLIGHTS = 10;
+
+// First field present on the flight, by any of the given names
+const FIELDS = {
+  flightNumber: ['flightNumber', 'flightNo', 'number', 'code'],
+  origin: ['airportFrom', 'origin', 'from', 'departureAirport'],
+  destination: ['airportTo', 'destination', 'to', 'arrivalAirport'],
+  departure: ['departureTime', 'departureDate', 'dateFrom', 'date', 'departure'],
+  arrival: ['arrivalTime', 'arrivalDate', 'dateTo', 'arrival'],
+  duration: ['duration', 'flightDuration'],
+  price: ['price', 'fare', 'amount'],
+  seatsAvailable: ['availableSeats', 'seatsAvailable', 'remainingSeats']
+};
+
+function pick(flight, names) {
+  const name = names.find(key => flight[key] !== undefined && flight[key] !== null);
+  return name ? flight[name] : undefined;
+}
+
+// The list of flights in a search API response
+function listFlights(result) {
+  if (Array.isArray(result)) {
+    return result;
+  }
+  if (result && typeof result === 'object') {
+    const list = result.flights || result.items || result.data || result.results;
+    return Array.isArray(list) ? list : [];
+  }
+  return [];
+}
+
+// A flight with the fields we know about, under consistent names
+function normalizeFlight(flight) {
+  const normalized = {};
+  for (const [field, names] of Object.entries(FIELDS)) {
+    const value = pick(flight, names);
+    if (value !== undefined) {
+      normalized[field] = value;
+    }
+  }
+  return normalized;
+}
+
+// The normalized flights from a search response, at most MAX_FLIGHTS of them
+function normalizeFlights(result) {
+  return listFlights(result)
+    .slice(0, MAX_FLIGHTS)
+    .map(normalizeFlight)
+    .filter(flight => flight.flightNumber);
+}
+
+// One line describing a normalized flight, e.g. "TK1 IST → LHR, departs 2025-05-02T10:00, 120 USD"
+function describeFlight(flight) {
+  const parts = [flight.flightNumber];
+  if (flight.origin || flight.destination) {
+    parts.push(`${flight.origin || '?'} → ${flight.destination || '?'}`);
+  }
+  const details = [];
+  if (flight.departure) details.push(`departs ${flight.departure}`);
+  if (flight.arrival) details.push(`arrives ${flight.arrival}`);
+  if (flight.price !== undefined) details.push(`price ${flight.price}`);
+  if (flight.seatsAvailable !== undefined) details.push(`${flight.seatsAvailable} seats`);
+  return `${parts.join(' ')}${details.length > 0 ? `, ${details.join(', ')}` : ''}`;
+}
+
+module.exports = { listFlights, normalizeFlights, describeFlight };
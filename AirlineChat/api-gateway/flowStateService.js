@@ -0,0 +1,75 @@
+const logger = require('./logger').child({ component: 'flowStateService' });
+
+// Persists multi-step flow state (activeFlow, currentStep, collectedParams) and
+// the last search results per userId through the storage service, so a flow
+// survives page refreshes, reconnects and server restarts.
+const DEFAULT_TTL_MINUTES = 30;
+
+class FlowStateService {
+  constructor(storageService, options = {}) {
+    this.storageService = storageService;
+
+    const ttlMinutes = options.ttlMinutes !== undefined
+      ? options.ttlMinutes
+      : parseFloat(process.env.FLOW_STATE_TTL_MINUTES || DEFAULT_TTL_MINUTES);
+    this.ttlMs = ttlMinutes * 60 * 1000;
+  }
+
+  // Load the saved flow state for a user, or null when there is none or it expired
+  async load(userId) {
+    try {
+      const saved = await this.storageService.getSession(userId);
+      if (!saved || (!saved.activeFlow && !saved.lastSearch)) {
+        return null;
+      }
+
+      const age = Date.now() - new Date(saved.updatedAt).getTime();
+      if (!(age <= this.ttlMs)) {
+        logger.info(`Flow state for user ${userId} expired, discarding it`);
+        await this.clear(userId);
+        return null;
+      }
+
+      return {
+        activeFlow: saved.activeFlow || null,
+        currentStep: saved.currentStep || null,
+        collectedParams: saved.collectedParams || {},
+        lastSearch: saved.lastSearch || null
+      };
+    } catch (error) {
+      logger.error('Error loading flow state', { error });
+      return null;
+    }
+  }
+
+  // Save the flow state of a session, clearing it once there's nothing to keep
+  async save(userId, session) {
+    try {
+      if (!session.activeFlow && !session.lastSearch) {
+        return await this.clear(userId);
+      }
+
+      return await this.storageService.saveSession(userId, {
+        activeFlow: session.activeFlow || null,
+        currentStep: session.currentStep || null,
+        collectedParams: session.collectedParams || {},
+        lastSearch: session.lastSearch || null,
+        updatedAt: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error saving flow state', { error });
+      return null;
+    }
+  }
+
+  async clear(userId) {
+    try {
+      return await this.storageService.deleteSession(userId);
+    } catch (error) {
+      logger.error('Error clearing flow state', { error });
+      return false;
+    }
+  }
+}
+
+module.exports = FlowStateService;
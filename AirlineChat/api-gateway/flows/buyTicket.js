@@ -0,0 +1,47 @@
+const { formatForAdapter } = require('../dateParser');
+
+// Ticket booking: collects the flight and passenger names, then calls the
+// buy ticket API.
+module.exports = {
+  name: 'BUY_TICKET',
+  startAction: 'START_BUY_FLOW',
+  intentDescription: 'When user wants to purchase a ticket.',
+  startDescription: "When user wants to book a flight but doesn't provide all details.",
+  role: 'airline booking assistant',
+  purpose: 'booking a flight ticket',
+
+  slots: [
+    { name: 'flightNumber', type: 'flightNumber', required: true, description: 'e.g., "FL3940"', prompt: 'flight number' },
+    { name: 'flightDate', type: 'date', required: true, description: 'the flight date exactly as the user said it, e.g. "tomorrow" or "May 2", or YYYY-MM-DD', prompt: 'flight date' },
+    { name: 'passengerNames', type: 'nameList', required: true, description: 'array of passenger names', prompt: 'full names of all passengers' }
+  ],
+
+  // Ask the user to confirm before anything is booked
+  requiresConfirmation: true,
+  confirmTitle: 'Please confirm your booking:',
+  summary: params => [
+    ['Flight', params.flightNumber],
+    ['Date', params.flightDate],
+    ['Passengers', params.passengerNames]
+  ],
+
+  // Bookings go through the booking service so a retried or repeated
+  // confirmation never buys the same tickets twice
+  execute: ({ adapters, bookings, userId }, params) => {
+    const ticketData = { ...params, flightDate: formatForAdapter(params.flightDate, 'bookTicket') };
+    return bookings ? bookings.book(userId, ticketData) : adapters.bookTicket(ticketData);
+  },
+
+  resultPrompt: (params, result) => `The user tried to book a ticket with these details: ${JSON.stringify(params)}.
+The booking API returned this result: ${JSON.stringify(result)}.
+Please generate a natural, conversational response about the booking status.
+If there was an error, explain it politely and suggest what they might do to fix it.
+If it was successful, confirm the booking in a friendly way.
+If the result is marked "replayed", these tickets were already booked earlier: say so and make clear nothing was charged twice.
+If its status is "pending" or "unknown", don't tell the user to book again; explain that we're still confirming the booking and they should check their bookings first.`,
+
+  errorPrompt: (params, error) => `The user tried to book a ticket with parameters: ${JSON.stringify(params)}, but there was an error: "${error.message}".
+Please generate a natural, conversational response. Note that even though there was an error, the booking might have still succeeded, so suggest they check their bookings or contact customer service.`,
+
+  errorFallback: "I'm sorry, I encountered an error while booking your ticket. Please try again."
+};
@@ -0,0 +1,42 @@
+const { formatForAdapter } = require('../dateParser');
+
+// Check-in: collects the flight and passenger name, then calls the check-in API.
+module.exports = {
+  name: 'CHECK_IN',
+  startAction: 'START_CHECKIN_FLOW',
+  intentDescription: 'When user wants to check in for a flight.',
+  startDescription: "When user wants to check in but doesn't provide all details.",
+  role: 'airline check-in assistant',
+  purpose: 'checking in for a flight',
+
+  slots: [
+    { name: 'flightNumber', type: 'flightNumber', required: true, description: 'e.g., "FL3940"', prompt: 'flight number' },
+    { name: 'date', type: 'date', required: true, description: 'the flight date exactly as the user said it, e.g. "tomorrow" or "May 2", or YYYY-MM-DD', prompt: 'flight date' },
+    { name: 'passengerName', type: 'name', required: true, description: 'string with passenger name', prompt: 'full name of the passenger checking in' }
+  ],
+
+  // Ask the user to confirm before checking in
+  requiresConfirmation: true,
+  confirmTitle: 'Please confirm your check-in:',
+  summary: params => [
+    ['Flight', params.flightNumber],
+    ['Date', params.date],
+    ['Passenger', params.passengerName]
+  ],
+
+  execute: ({ adapters }, params) => adapters.checkIn({
+    ...params,
+    date: formatForAdapter(params.date, 'checkIn')
+  }),
+
+  resultPrompt: (params, result) => `The user tried to check in with these details: ${JSON.stringify(params)}.
+The check-in API returned this result: ${JSON.stringify(result)}.
+Please generate a natural, conversational response about the check-in status.
+If there was an error, explain it politely and suggest what they might do to fix it.
+If it was successful, confirm the check-in in a friendly way.`,
+
+  errorPrompt: (params, error) => `The user tried to check in with parameters: ${JSON.stringify(params)}, but there was an error: "${error.message}".
+Please generate a natural, conversational response. Note that even though there was an error, the check-in might have still succeeded, so suggest they check their flight status or contact customer service.`,
+
+  errorFallback: "I'm sorry, I encountered an error while processing your check-in. Please try again."
+};
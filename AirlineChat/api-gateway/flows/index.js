@@ -0,0 +1,120 @@
+const slotTypes = require('./slotTypes');
+
+// Flow registry. Each flow declares its slots (name, type, required,
+// validator, prompt hint) and the backend action to run once all required
+// slots are filled. Adding a flow only means adding a definition here.
+//
+// Slot fields:
+// - name: parameter name passed to the adapter
+// - type: one of the built-in slot types in slotTypes.js
+// - required: whether the flow must collect it before completing
+// - validate(value, slot, params, context): optional custom validator, overrides the type's
+// - default(params): optional value used when an optional slot was not given
+// - description: how the model should extract it (used in the intent tool schema)
+// - schema: optional JSON schema for the tool argument, overrides the type's
+// - prompt: short hint used when asking the user for it
+//
+// `execute({ adapters, bookings, userId }, params)` runs the flow's action
+// with the gateway's services and resolves to the backend result.
+// An optional `remember(params, result)` returns values to keep in the
+// conversation state after the action succeeded (e.g. the last search results).
+// An optional `attachment(params, result)` returns structured data sent with
+// the reply, e.g. { type: 'flights', flights } rendered by the client as cards.
+//
+// Flows with `requiresConfirmation` also declare `confirmTitle` and
+// `summary(params)`, returning [label, value] pairs shown to the user before
+// the action runs.
+const flows = [
+  require('./queryFlight'),
+  require('./buyTicket'),
+  require('./checkIn')
+];
+
+const flowsByName = new Map(flows.map(flow => [flow.name, flow]));
+const flowsByStartAction = new Map(flows.map(flow => [flow.startAction, flow]));
+
+function listFlows() {
+  return flows;
+}
+
+function getFlow(name) {
+  return flowsByName.get(name) || null;
+}
+
+function getFlowByStartAction(action) {
+  return flowsByStartAction.get(action) || null;
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '' ||
+    (Array.isArray(value) && value.length === 0);
+}
+
+// Validate a single slot value with its custom validator or its type's.
+// The context carries the user's time zone and the current time.
+function validateSlot(slot, value, params = {}, context = {}) {
+  const validator = slot.validate || slotTypes[slot.type] || slotTypes.string;
+  return validator(value, slot, params, context);
+}
+
+// Merge newly extracted parameters into the collected ones. Values that fail
+// validation are left out and reported so the user can be asked again. A slot
+// type can also set other slots through `fills`; an undefined fill clears one.
+function mergeParams(flow, collectedParams, newParams, context = {}) {
+  const params = { ...collectedParams };
+  const errors = [];
+
+  for (const slot of flow.slots) {
+    const value = newParams ? newParams[slot.name] : undefined;
+    if (isEmpty(value)) {
+      continue;
+    }
+
+    const result = validateSlot(slot, value, params, context);
+    if (result.valid) {
+      params[slot.name] = result.value;
+      for (const [name, fill] of Object.entries(result.fills || {})) {
+        if (fill === undefined) {
+          delete params[name];
+        } else {
+          params[name] = fill;
+        }
+      }
+    } else {
+      errors.push({ slot: slot.name, error: result.error, question: result.question });
+    }
+  }
+
+  return { params, errors };
+}
+
+// The first required slot that hasn't been collected yet, or null when the flow is complete
+function nextMissingSlot(flow, params) {
+  return flow.slots.find(slot => slot.required && isEmpty(params[slot.name])) || null;
+}
+
+function isComplete(flow, params) {
+  return nextMissingSlot(flow, params) === null;
+}
+
+// Fill optional slots that have a default and weren't provided
+function applyDefaults(flow, params) {
+  const result = { ...params };
+  for (const slot of flow.slots) {
+    if (isEmpty(result[slot.name]) && slot.default) {
+      result[slot.name] = slot.default(result);
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  listFlows,
+  getFlow,
+  getFlowByStartAction,
+  validateSlot,
+  mergeParams,
+  nextMissingSlot,
+  isComplete,
+  applyDefaults
+};
@@ -0,0 +1,47 @@
+const { formatForAdapter } = require('../dateParser');
+const { normalizeFlights } = require('../flightResults');
+
+// Flight search: collects route, travel dates and party size, then queries
+// the flight search API.
+module.exports = {
+  name: 'QUERY_FLIGHT',
+  startAction: 'START_QUERY_FLOW',
+  intentDescription: 'When user asks to search for flights.',
+  startDescription: "When user wants to search for flights but doesn't provide all parameters.",
+  role: 'airline flight search assistant',
+  purpose: 'searching for flights',
+
+  slots: [
+    { name: 'origin', type: 'airport', required: true, description: 'airport code or city name', prompt: 'departure airport or city' },
+    { name: 'destination', type: 'airport', required: true, description: 'airport code or city name', prompt: 'destination airport or city' },
+    { name: 'dateFrom', type: 'dateRange', rangeEnd: 'dateTo', required: true, description: 'the travel date or date range exactly as the user said it, e.g. "next Friday" or "between May 2 and 5", or YYYY-MM-DD', prompt: 'travel date' },
+    // One-way searches only need a single date. The default is the date part of
+    // dateFrom alone, so "tomorrow evening" searches until the end of that day.
+    { name: 'dateTo', type: 'date', notBefore: 'dateFrom', required: false, default: params => params.dateFrom && String(params.dateFrom).split('T')[0], description: 'the latest travel date exactly as the user said it, or YYYY-MM-DD', prompt: 'latest travel date' },
+    { name: 'passengers', type: 'integer', required: true, min: 1, max: 9, description: 'number of passengers', prompt: 'number of passengers' }
+  ],
+
+  execute: ({ adapters }, params) => adapters.searchFlights({
+    ...params,
+    dateFrom: formatForAdapter(params.dateFrom, 'searchFlights'),
+    dateTo: formatForAdapter(params.dateTo, 'searchFlights', { endOfDay: true })
+  }),
+
+  // Keep the flights found so later messages can refer to them ("book the second one")
+  remember: (params, result) => ({ lastSearch: { params, flights: normalizeFlights(result) } }),
+
+  // Send the flights with the reply so the client can show them as cards
+  attachment: (params, result) => ({ type: 'flights', flights: normalizeFlights(result) }),
+
+  resultPrompt: (params, result) => `The user searched for flights with these parameters: ${JSON.stringify(params)}.
+The search API returned these results: ${JSON.stringify(result)}.
+Please generate a natural, conversational response about the search results.
+If flights were found, mention how many and summarize them with details like flight numbers, departure/arrival times and prices.
+If no flights were found, suggest alternatives politely.
+End with an appropriate question about whether they want to book a flight or refine their search.`,
+
+  errorPrompt: (params, error) => `The user tried to search for flights with parameters: ${JSON.stringify(params)}, but there was an error: "${error.message}".
+Please generate a natural, conversational response apologizing for the issue and suggesting they try again or modify their search criteria.`,
+
+  errorFallback: "I'm sorry, I encountered an error while searching for flights. Please try again."
+};
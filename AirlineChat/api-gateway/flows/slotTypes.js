@@ -0,0 +1,116 @@
+const { resolveAirport, disambiguationQuestion } = require('../airportResolver');
+const { parseDate, parseDateRange, isPastDate } = require('../dateParser');
+
+// Built-in slot types. Each validator takes the raw value extracted by the
+// model and returns { valid: true, value } with the normalized value, or
+// { valid: false, error } with a short explanation we can pass to the user.
+// A validator may add a `question` to ask the user instead of a generic retry,
+// and `fills` with values for related slots (e.g. the end of a date range).
+//
+// Validators are called as validator(value, slot, params, context), where
+// context carries the user's time zone and the current time.
+const FLIGHT_NUMBER_PATTERN = /^[A-Z0-9]{2}\d{1,5}$/;
+
+const slotTypes = {
+  string(value) {
+    const text = String(value).trim();
+    return text ? { valid: true, value: text } : { valid: false, error: 'a value is required' };
+  },
+
+  // Resolve city names, airport names and misspellings to an IATA code
+  airport(value) {
+    const result = resolveAirport(value);
+    if (result.status === 'resolved') {
+      return { valid: true, value: result.code };
+    }
+    if (result.status === 'ambiguous') {
+      return {
+        valid: false,
+        error: `${result.city} has several airports`,
+        question: disambiguationQuestion(result)
+      };
+    }
+    return { valid: false, error: `"${value}" is not an airport or city we know` };
+  },
+
+  // Natural-language dates ("next Friday", "the 3rd") resolved to YYYY-MM-DD,
+  // or YYYY-MM-DDThh:mm when a time of day was given
+  date(value, slot, params, context = {}) {
+    const result = parseDate(value, context);
+    if (!result) {
+      return { valid: false, error: `"${value}" is not a date I understand` };
+    }
+    if (isPastDate(result.date, context)) {
+      return { valid: false, error: `${result.date} is in the past` };
+    }
+    if (slot.notBefore && params[slot.notBefore] && result.date < params[slot.notBefore].substring(0, 10)) {
+      return { valid: false, error: `${result.date} is before ${params[slot.notBefore].substring(0, 10)}` };
+    }
+    return { valid: true, value: result.time ? `${result.date}T${result.time}` : result.date };
+  },
+
+  // A date or a range ("between May 2 and 5"). The slot gets the start date and
+  // the slot named by `rangeEnd` gets the end date when a range was given. A
+  // single date clears `rangeEnd`, so the end of an earlier range can't be left
+  // before the new start.
+  dateRange(value, slot, params, context = {}) {
+    const single = slotTypes.date(value, slot, params, context);
+    if (single.valid) {
+      return { ...single, fills: slot.rangeEnd ? { [slot.rangeEnd]: undefined } : {} };
+    }
+
+    const range = parseDateRange(value, context);
+    if (!range) {
+      return single;
+    }
+    if (isPastDate(range.from, context)) {
+      return { valid: false, error: `${range.from} is in the past` };
+    }
+    return { valid: true, value: range.from, fills: slot.rangeEnd ? { [slot.rangeEnd]: range.to } : {} };
+  },
+
+  integer(value, slot) {
+    const number = Number(value);
+    const min = slot.min !== undefined ? slot.min : -Infinity;
+    const max = slot.max !== undefined ? slot.max : Infinity;
+    if (!Number.isInteger(number) || number < min || number > max) {
+      return { valid: false, error: `"${value}" must be a whole number between ${min} and ${max}` };
+    }
+    return { valid: true, value: number };
+  },
+
+  flightNumber(value) {
+    const text = String(value).replace(/\s+/g, '').toUpperCase();
+    if (!FLIGHT_NUMBER_PATTERN.test(text)) {
+      return { valid: false, error: `"${value}" is not a valid flight number (for example FL3940)` };
+    }
+    return { valid: true, value: text };
+  },
+
+  name(value) {
+    const text = String(value).trim().replace(/\s+/g, ' ');
+    if (text.length < 2 || /\d/.test(text)) {
+      return { valid: false, error: `"${value}" is not a valid passenger name` };
+    }
+    return { valid: true, value: text };
+  },
+
+  nameList(value) {
+    // Accept an array or a string like "John Smith, Jane Smith and Bob Smith"
+    const names = (Array.isArray(value) ? value : String(value).split(/,|\band\b|&/i))
+      .map(name => String(name).trim().replace(/\s+/g, ' '))
+      .filter(Boolean);
+
+    if (names.length === 0) {
+      return { valid: false, error: 'at least one passenger name is required' };
+    }
+
+    const invalid = names.find(name => !slotTypes.name(name).valid);
+    if (invalid) {
+      return { valid: false, error: `"${invalid}" is not a valid passenger name` };
+    }
+    return { valid: true, value: names };
+  }
+};
+
+module.exports = slotTypes;
@@ -0,0 +1,130 @@
+const ApiAdapters = require('./adapters');
+const { withTimeout } = require('./timeout');
+const logger = require('./logger').child({ component: 'healthService' });
+
+const DEFAULT_TIMEOUT_MS = 3000;
+const DEFAULT_CACHE_SECONDS = 10;
+
+const SEVERITY = { ok: 0, degraded: 1, failing: 2 };
+
+function worst(statuses) {
+  return statuses.reduce((result, status) => (SEVERITY[status] > SEVERITY[result] ? status : result), 'ok');
+}
+
+// Liveness and readiness for the load balancer. Readiness checks storage, the
+// LLM provider and the airline APIs, each within HEALTH_CHECK_TIMEOUT_MS, and
+// reports each one's status, latency and problems. The service is "failing"
+// when it can't store conversations or reach the airline APIs, and "degraded"
+// when something it can work around is wrong, e.g. the LLM is down and intents
+// fall back to the rule-based detector. Results are cached for
+// HEALTH_CHECK_CACHE_SECONDS so frequent probes don't hammer the dependencies.
+class HealthService {
+  constructor({ storageService, aiService, adapters = ApiAdapters, timeoutMs, cacheSeconds, now } = {}) {
+    this.storageService = storageService;
+    this.aiService = aiService;
+    this.adapters = adapters;
+    this.timeoutMs = timeoutMs || parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS || DEFAULT_TIMEOUT_MS, 10);
+    const cache = cacheSeconds !== undefined
+      ? cacheSeconds
+      : parseFloat(process.env.HEALTH_CHECK_CACHE_SECONDS || DEFAULT_CACHE_SECONDS);
+    this.cacheMs = cache * 1000;
+    this.now = now || (() => Date.now());
+    this.cached = null;
+    this.pending = null;
+  }
+
+  // The process is up and serving requests; dependencies aren't checked
+  liveness() {
+    return { status: 'ok', uptimeSeconds: Math.round(process.uptime()) };
+  }
+
+  // Resolves to { status, checkedAt, checks: { storage, llm, airlineApi } }
+  async readiness() {
+    if (this.cached && this.now() - this.cached.time < this.cacheMs) {
+      return this.cached.report;
+    }
+    // Concurrent probes share one run of the checks
+    if (!this.pending) {
+      this.pending = this.runChecks().finally(() => {
+        this.pending = null;
+      });
+    }
+    return this.pending;
+  }
+
+  async runChecks() {
+    const [storage, llm, airlineApi] = await Promise.all([
+      this.runCheck('storage', () => this.checkStorage(), 'failing'),
+      // Intent detection falls back to rules, so a broken LLM only degrades the service
+      this.runCheck('llm', () => this.checkLlm(), 'degraded'),
+      this.runCheck('airlineApi', () => this.adapters.checkHealth({ timeout: this.timeoutMs }), 'failing')
+    ]);
+
+    const checks = { storage, llm, airlineApi };
+    const report = {
+      status: worst(Object.values(checks).map(check => check.status)),
+      checkedAt: new Date(this.now()).toISOString(),
+      checks
+    };
+
+    if (report.status !== 'ok') {
+      logger.warn(`Readiness check is ${report.status}`, {
+        checks: Object.fromEntries(Object.entries(checks).map(([name, check]) => [name, check.status]))
+      });
+    }
+
+    this.cached = { time: this.now(), report };
+    return report;
+  }
+
+  // Run one check. A check resolves to { problems: [{ severity, message }] }
+  // (or nothing) and rejects when the dependency is unusable; failureStatus
+  // caps how badly a problem with this dependency affects the service.
+  async runCheck(name, check, failureStatus) {
+    const start = this.now();
+    let status;
+    let problems;
+
+    try {
+      const result = await withTimeout(Promise.resolve().then(check), this.timeoutMs, `${name} health check`);
+      problems = (result && result.problems) || [];
+      status = worst(problems.map(problem => problem.severity));
+    } catch (error) {
+      problems = [{ severity: 'failing', message: error.message }];
+      status = 'failing';
+    }
+
+    return {
+      status: SEVERITY[status] > SEVERITY[failureStatus] ? failureStatus : status,
+      latencyMs: this.now() - start,
+      problems: problems.map(problem => problem.message)
+    };
+  }
+
+  async checkStorage() {
+    await this.storageService.checkHealth();
+
+    const problems = [];
+    if (this.storageService.name === 'memory' && process.env.NODE_ENV === 'production') {
+      problems.push({ severity: 'degraded', message: 'In-memory storage is in use, so conversations are lost on restart' });
+    }
+    return { problems };
+  }
+
+  async checkLlm() {
+    const provider = this.aiService && this.aiService.provider;
+    if (!provider) {
+      throw new Error('LLM provider failed to initialize; intents use the rule-based detector');
+    }
+
+    await provider.checkHealth();
+
+    const problems = [];
+    if (provider.name === 'mock' && process.env.NODE_ENV === 'production') {
+      problems.push({ severity: 'degraded', message: 'The mock LLM provider is in use' });
+    }
+    return { problems };
+  }
+}
+
+module.exports = HealthService;
@@ -0,0 +1,137 @@
+const { listFlows, getFlow } = require('./flows');
+const { validateSchema } = require('./schemaValidator');
+
+// Intent detection as tool calling. Every action the model can take is a tool
+// with a JSON schema generated from the flow registry:
+// - <FLOW>: the user gave everything the flow needs (required slots are required)
+// - <START_ACTION>: the user wants the flow but some details are missing
+// - CONTINUE_FLOW: the user answered within the active flow (only offered then)
+// - CHAT: anything else, with the reply to show
+// The model's tool call is validated against the schema and turned into the
+// intent shape the conversation engine expects.
+
+// JSON schema for each slot type. A slot can override it with `schema`.
+const SLOT_SCHEMAS = {
+  string: { type: 'string', minLength: 1 },
+  airport: { type: 'string', minLength: 1 },
+  date: { type: 'string', minLength: 1 },
+  dateRange: { type: 'string', minLength: 1 },
+  integer: { type: 'integer' },
+  flightNumber: { type: 'string', pattern: '^[A-Za-z0-9]{2}\\s?\\d{1,5}$' },
+  name: { type: 'string', minLength: 1 },
+  nameList: { type: 'array', items: { type: 'string', minLength: 1 }, minItems: 1 }
+};
+
+function slotSchema(slot) {
+  const schema = { ...(slot.schema || SLOT_SCHEMAS[slot.type] || SLOT_SCHEMAS.string) };
+  if (slot.type === 'integer') {
+    if (slot.min !== undefined) schema.minimum = slot.min;
+    if (slot.max !== undefined) schema.maximum = slot.max;
+  }
+  if (slot.description) {
+    schema.description = slot.description;
+  }
+  return schema;
+}
+
+// Object schema for a flow's slots; `requireSlots` makes its required slots required
+function paramsSchema(flow, requireSlots) {
+  return {
+    type: 'object',
+    properties: Object.fromEntries(flow.slots.map(slot => [slot.name, slotSchema(slot)])),
+    required: requireSlots ? flow.slots.filter(slot => slot.required).map(slot => slot.name) : [],
+    additionalProperties: false
+  };
+}
+
+function tool(name, description, parameters) {
+  return { name, description, parameters };
+}
+
+// The tools on offer for this conversation state
+function buildIntentTools(conversationState = {}) {
+  const flows = listFlows();
+  const tools = [
+    tool('CHAT', 'For general conversation, questions, or any input not explicitly related to booking flights, checking in, etc.', {
+      type: 'object',
+      properties: { response: { type: 'string', minLength: 1, description: 'the reply to show the user' } },
+      required: ['response'],
+      additionalProperties: false
+    }),
+    ...flows.map(flow => tool(flow.name, flow.intentDescription, paramsSchema(flow, true))),
+    ...flows.map(flow => tool(flow.startAction, flow.startDescription, paramsSchema(flow, false)))
+  ];
+
+  const activeFlow = getFlow(conversationState.activeFlow);
+  if (activeFlow) {
+    tools.push(tool('CONTINUE_FLOW', `When the user is responding in the active ${activeFlow.name} flow.`, {
+      type: 'object',
+      properties: {
+        flow: { type: 'string', enum: [activeFlow.name] },
+        collectedParams: {
+          ...paramsSchema(activeFlow, false),
+          description: 'only the parameters the user provided in this message'
+        }
+      },
+      required: ['flow', 'collectedParams'],
+      additionalProperties: false
+    }));
+  }
+
+  return tools;
+}
+
+// Models often send null or "" for details the user didn't give; treat those as absent
+function dropEmpty(value) {
+  if (Array.isArray(value)) {
+    return value.map(dropEmpty);
+  }
+  if (value !== null && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value)
+      .filter(([, item]) => item !== null && item !== '')
+      .map(([key, item]) => [key, dropEmpty(item)]));
+  }
+  return value;
+}
+
+// Check a tool call ({ name, arguments }) against the offered tools. Resolves to
+// { intent } or { error } describing what was wrong, for the repair prompt.
+function parseToolCall(toolCall, tools) {
+  if (!toolCall) {
+    return { error: 'no tool was called' };
+  }
+
+  const definition = tools.find(item => item.name === toolCall.name);
+  if (!definition) {
+    return { error: `unknown tool "${toolCall.name}"` };
+  }
+
+  let args;
+  try {
+    args = typeof toolCall.arguments === 'string'
+      ? JSON.parse(toolCall.arguments || '{}')
+      : (toolCall.arguments || {});
+  } catch (error) {
+    return { error: `the arguments for ${toolCall.name} are not valid JSON` };
+  }
+
+  args = dropEmpty(args);
+  const errors = validateSchema(definition.parameters, args);
+  if (errors.length > 0) {
+    return { error: `invalid arguments for ${toolCall.name}: ${errors.join('; ')}` };
+  }
+
+  return { intent: toIntent(toolCall.name, args) };
+}
+
+function toIntent(action, args) {
+  if (action === 'CHAT') {
+    return { action, response: args.response };
+  }
+  if (action === 'CONTINUE_FLOW') {
+    return { action, flow: args.flow, collectedParams: args.collectedParams };
+  }
+  return { action, parameters: args };
+}
+
+module.exports = { buildIntentTools, parseToolCall };
@@ -0,0 +1,69 @@
+const OpenAiProvider = require('./openAiProvider');
+const AzureOpenAiProvider = require('./azureOpenAiProvider');
+const LocalLlmProvider = require('./localLlmProvider');
+const MockLlmProvider = require('./mockLlmProvider');
+const RecordingLlmProvider = require('./recordingLlmProvider');
+const logger = require('./logger').child({ component: 'llmProvider' });
+
+// Every LLM provider implements:
+// - name: provider name used in logs
+// - complete({ callType, messages, model, temperature, maxTokens, json }): Promise<string>
+//   messages use the OpenAI chat format; json asks for a JSON object reply
+// - completeWithTools({ callType, messages, tools, model, temperature, maxTokens }):
+//   Promise<{ content, toolCalls: [{ name, arguments }] }>, with one of the tools called
+// - stream({ callType, messages, model, temperature, maxTokens }): async iterable of text deltas
+// - checkHealth(): Promise<true>, rejecting when the provider is unreachable or misconfigured
+const providers = {
+  openai: OpenAiProvider,
+  azure: AzureOpenAiProvider,
+  local: LocalLlmProvider,
+  mock: MockLlmProvider
+};
+
+// Settings per call type. "intent" extracts the action and parameters from a
+// message, "response" writes the replies the user sees.
+const CALL_DEFAULTS = {
+  intent: { temperature: 0, maxTokens: null },
+  response: { temperature: 0.7, maxTokens: 150 }
+};
+
+function numberSetting(value, fallback) {
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+  const number = Number(value);
+  return Number.isNaN(number) ? fallback : number;
+}
+
+// Model, temperature and max_tokens for a call type, overridable with
+// LLM_<TYPE>_MODEL, LLM_<TYPE>_TEMPERATURE and LLM_<TYPE>_MAX_TOKENS.
+// LLM_MODEL (or the older OPENAI_API_MODEL) sets the model for every call type.
+function getCallConfig(callType, env = process.env) {
+  const prefix = `LLM_${callType.toUpperCase()}_`;
+  const defaults = CALL_DEFAULTS[callType] || {};
+
+  return {
+    model: env[`${prefix}MODEL`] || env.LLM_MODEL || env.OPENAI_API_MODEL || 'gpt-4o',
+    temperature: numberSetting(env[`${prefix}TEMPERATURE`], defaults.temperature),
+    maxTokens: numberSetting(env[`${prefix}MAX_TOKENS`], defaults.maxTokens)
+  };
+}
+
+// Pick the provider from LLM_PROVIDER (default openai). With LLM_RECORD_FILE
+// set, every response is also recorded for replay with the mock provider.
+function createLlmProvider(provider = process.env.LLM_PROVIDER, options = {}) {
+  const name = (provider || 'openai').trim().toLowerCase();
+
+  const LlmProvider = providers[name];
+  if (!LlmProvider) {
+    throw new Error(`Unknown LLM provider "${provider}". Expected one of: ${Object.keys(providers).join(', ')}`);
+  }
+
+  logger.info(`Using ${name} LLM provider`);
+  const instance = new LlmProvider(options);
+
+  const recordFile = options.recordFile || process.env.LLM_RECORD_FILE;
+  return recordFile ? new RecordingLlmProvider(instance, recordFile) : instance;
+}
+
+module.exports = { createLlmProvider, getCallConfig };
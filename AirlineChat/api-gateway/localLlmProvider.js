@@ -0,0 +1,19 @@
+const OpenAiProvider = require('./openAiProvider');
+
+const DEFAULT_BASE_URL = 'http://localhost:11434/v1';
+
+// Any server with an OpenAI-compatible chat completions API (Ollama, vLLM,
+// LM Studio, llama.cpp). Most of them ignore the API key.
+class LocalLlmProvider extends OpenAiProvider {
+  constructor(options = {}) {
+    super({
+      name: 'local',
+      clientOptions: {
+        apiKey: options.apiKey || process.env.LOCAL_LLM_API_KEY || 'not-needed',
+        baseURL: options.baseURL || process.env.LOCAL_LLM_BASE_URL || DEFAULT_BASE_URL
+      }
+    });
+  }
+}
+
+module.exports = LocalLlmProvider;
@@ -0,0 +1,166 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Leveled, structured logging for the gateway. Each entry is one JSON line
+// ({ time, level, msg, component, turnId, userId, ...fields }), or a readable
+// line with LOG_FORMAT=pretty. Entries below LOG_LEVEL (default info) are
+// dropped. Fields and messages are redacted before they are written, since
+// chat turns carry passenger names, emails, document numbers and tokens.
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const REDACTED = '[REDACTED]';
+
+// Field names (compared lower-case, without "_" or "-") whose values are never logged
+const SECRET_KEYS = new Set([
+  'password', 'token', 'accesstoken', 'refreshtoken', 'authtoken', 'authorization',
+  'apikey', 'secret', 'clientsecret', 'cookie', 'setcookie'
+]);
+const PERSONAL_KEYS = new Set([
+  'name', 'names', 'firstname', 'lastname', 'surname', 'fullname', 'username',
+  'passengername', 'passengernames', 'email', 'emailaddress', 'phone', 'phonenumber',
+  'passportnumber', 'passportno', 'documentnumber', 'documentno', 'idnumber',
+  'nationalid', 'identitynumber', 'tckimlikno', 'dateofbirth', 'birthdate'
+]);
+// Free text typed by the user; only its length is logged
+const TEXT_KEYS = new Set(['content', 'text', 'usermessage']);
+
+// Patterns scrubbed from every string, including log messages
+const STRING_PATTERNS = [
+  [/[\w.+-]+@[\w-]+(\.[\w-]+)+/g, '[EMAIL]'],
+  [/\bBearer\s+[\w.~+/=-]+/gi, 'Bearer [TOKEN]'],
+  // JWTs and the gateway's own session tokens (base64url JSON + signature)
+  [/\beyJ[\w-]+\.[\w-]+(\.[\w-]+)?/g, '[TOKEN]'],
+  // Passport-style document numbers (one or two letters and 6-9 digits)
+  [/\b[A-Z]{1,2}\d{6,9}\b/g, '[DOCUMENT]'],
+  // 11-digit national identity numbers
+  [/\b[1-9]\d{10}\b/g, '[DOCUMENT]']
+];
+
+const MAX_DEPTH = 6;
+
+function normalizeKey(key) {
+  return String(key).toLowerCase().replace(/[_-]/g, '');
+}
+
+function redactString(value) {
+  return STRING_PATTERNS.reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), value);
+}
+
+function serializeError(error) {
+  const serialized = { type: error.name, message: error.message };
+  if (error.code !== undefined) serialized.code = error.code;
+  if (error.status !== undefined) serialized.status = error.status;
+  if (error.response && error.response.status !== undefined) serialized.status = error.response.status;
+  if (error.stack) serialized.stack = error.stack;
+  return serialized;
+}
+
+// A copy of value that is safe to log
+function redact(value, depth = 0) {
+  if (value === null || value === undefined) {
+    return value;
+  }
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (typeof value !== 'object') {
+    return value;
+  }
+  if (depth >= MAX_DEPTH) {
+    return '[Truncated]';
+  }
+  if (value instanceof Error) {
+    return redact(serializeError(value), depth + 1);
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1));
+  }
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    const normalized = normalizeKey(key);
+    if (item === null || item === undefined) {
+      result[key] = item;
+    } else if (SECRET_KEYS.has(normalized) || PERSONAL_KEYS.has(normalized)) {
+      result[key] = REDACTED;
+    } else if (TEXT_KEYS.has(normalized) && typeof item === 'string') {
+      result[key] = `[${item.length} chars]`;
+    } else {
+      result[key] = redact(item, depth + 1);
+    }
+  }
+  return result;
+}
+
+// Fields added to every entry logged while handling one chat turn
+const turnContext = new AsyncLocalStorage();
+
+// Run fn with fields such as { turnId, userId } attached to everything it logs,
+// including from the services it awaits
+function runWithContext(fields, fn) {
+  return turnContext.run({ ...turnContext.getStore(), ...fields }, fn);
+}
+
+class Logger {
+  constructor(fields = {}, options = {}) {
+    this.fields = fields;
+    this.level = options.level || process.env.LOG_LEVEL || 'info';
+    this.format = options.format || process.env.LOG_FORMAT || 'json';
+    this.write = options.write || ((level, line) => {
+      (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+    });
+  }
+
+  // A logger that adds fields (e.g. { component: 'adapters' }) to each entry
+  child(fields) {
+    return new Logger({ ...this.fields, ...fields }, { level: this.level, format: this.format, write: this.write });
+  }
+
+  isEnabled(level) {
+    return LEVELS[level] >= (LEVELS[this.level] || LEVELS.info);
+  }
+
+  debug(msg, fields) { this.log('debug', msg, fields); }
+  info(msg, fields) { this.log('info', msg, fields); }
+  warn(msg, fields) { this.log('warn', msg, fields); }
+  error(msg, fields) { this.log('error', msg, fields); }
+
+  log(level, msg, fields = {}) {
+    if (!this.isEnabled(level)) {
+      return;
+    }
+
+    const entry = redact({
+      time: new Date().toISOString(),
+      level,
+      msg,
+      ...this.fields,
+      ...turnContext.getStore(),
+      ...(fields instanceof Error ? { error: fields } : fields)
+    });
+    // Stack traces are noise below error level
+    if (level !== 'error' && entry.error && entry.error.stack) {
+      delete entry.error.stack;
+    }
+
+    try {
+      this.write(level, this.format === 'pretty' ? this.formatPretty(entry) : JSON.stringify(entry));
+    } catch (error) {
+      // Logging must never break a request
+    }
+  }
+
+  formatPretty({ time, level, msg, component, ...rest }) {
+    const extra = Object.keys(rest).length > 0 ? ` ${JSON.stringify(rest)}` : '';
+    return `${time} ${level.toUpperCase().padEnd(5)} ${component ? `[${component}] ` : ''}${msg}${extra}`;
+  }
+}
+
+const logger = new Logger();
+
+module.exports = logger;
+module.exports.Logger = Logger;
+module.exports.redact = redact;
+module.exports.runWithContext = runWithContext;
@@ -0,0 +1,94 @@
+// In-memory store for the rate limiter. Buckets and blocks live only in this
+// process, so limits are per instance; use a shared store (see rateLimiter.js)
+// when the gateway runs on more than one instance.
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+class MemoryRateLimitStore {
+  constructor() {
+    this.name = 'memory';
+    // Token buckets keyed by "<scope>:<id>": { tokens, updatedAt, capacity, refillPerMs }
+    this.buckets = new Map();
+    // Recent throttled request times keyed by "<scope>:<id>"
+    this.violations = new Map();
+    // Block expiry times keyed by "<scope>:<id>"
+    this.blocks = new Map();
+
+    // Drop full buckets and expired entries so idle users don't accumulate
+    this.sweepTimer = setInterval(() => this.sweep(Date.now()), SWEEP_INTERVAL_MS);
+    this.sweepTimer.unref();
+  }
+
+  async consume(key, { capacity, refillPerSecond }, now) {
+    const refillPerMs = refillPerSecond / 1000;
+    const bucket = this.buckets.get(key) || { tokens: capacity, updatedAt: now };
+
+    bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+    bucket.updatedAt = now;
+    bucket.capacity = capacity;
+    bucket.refillPerMs = refillPerMs;
+    this.buckets.set(key, bucket);
+
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return { allowed: true, remaining: Math.floor(bucket.tokens), retryAfterMs: 0 };
+    }
+
+    return {
+      allowed: false,
+      remaining: 0,
+      retryAfterMs: refillPerMs > 0 ? Math.ceil((1 - bucket.tokens) / refillPerMs) : Infinity
+    };
+  }
+
+  async refund(key, { capacity }) {
+    const bucket = this.buckets.get(key);
+    if (bucket) {
+      bucket.tokens = Math.min(capacity, bucket.tokens + 1);
+    }
+  }
+
+  async recordViolation(key, windowMs, now) {
+    const recent = (this.violations.get(key) || []).filter(time => now - time < windowMs);
+    recent.push(now);
+    this.violations.set(key, recent);
+    return recent.length;
+  }
+
+  async block(key, until) {
+    this.blocks.set(key, until);
+    this.violations.delete(key);
+  }
+
+  async blockedUntil(key, now) {
+    const until = this.blocks.get(key);
+    if (!until) {
+      return 0;
+    }
+    if (until <= now) {
+      this.blocks.delete(key);
+      return 0;
+    }
+    return until;
+  }
+
+  sweep(now) {
+    for (const [key, bucket] of this.buckets) {
+      if (bucket.tokens + (now - bucket.updatedAt) * bucket.refillPerMs >= bucket.capacity) {
+        this.buckets.delete(key);
+      }
+    }
+    for (const [key, until] of this.blocks) {
+      if (until <= now) {
+        this.blocks.delete(key);
+      }
+    }
+    for (const [key, times] of this.violations) {
+      // Violation windows are minutes long; anything older than an hour is stale
+      if (now - times[times.length - 1] > 60 * 60 * 1000) {
+        this.violations.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = MemoryRateLimitStore;
@@ -0,0 +1,90 @@
+const logger = require('./logger').child({ component: 'memoryStorageService' });
+
+// In-memory storage backend with the same interface as CosmosDbService.
+// Data lives only as long as the process, which makes it a good fit for
+// local development and CI runs that don't have an Azure account.
+class MemoryStorageService {
+  constructor() {
+    this.name = 'memory';
+    // Messages grouped by userId
+    this.messages = new Map();
+    // Session state keyed by userId
+    this.sessions = new Map();
+    // Booking attempts keyed by idempotency key
+    this.bookingAttempts = new Map();
+  }
+
+  async initialize() {
+    logger.info('Using in-memory storage - conversation history will not survive a restart');
+    return true;
+  }
+
+  async saveMessage(message) {
+    if (!message || !message.userId) {
+      logger.warn('Cannot save message without a userId');
+      return null;
+    }
+
+    const userMessages = this.messages.get(message.userId) || [];
+
+    // Mirror Cosmos DB behavior, which rejects a duplicate id within a partition
+    if (userMessages.some(item => item.id === message.id)) {
+      logger.error(`Message with id ${message.id} already exists for user ${message.userId}`);
+      return null;
+    }
+
+    const storedMessage = { ...message };
+    userMessages.push(storedMessage);
+    this.messages.set(message.userId, userMessages);
+    return { ...storedMessage };
+  }
+
+  async getConversationHistory(userId, limit = 20) {
+    const userMessages = this.messages.get(userId) || [];
+
+    // Return the latest messages in chronological order
+    return userMessages
+      .slice()
+      .sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)))
+      .slice(-limit)
+      .map(message => ({ ...message }));
+  }
+
+  async deleteConversationHistory(userId) {
+    logger.info(`Deleting conversation history for user: ${userId}`);
+    this.messages.delete(userId);
+    return true;
+  }
+
+  async saveSession(userId, state) {
+    const storedSession = { ...state, userId };
+    this.sessions.set(userId, storedSession);
+    return { ...storedSession };
+  }
+
+  async getSession(userId) {
+    const session = this.sessions.get(userId);
+    return session ? { ...session } : null;
+  }
+
+  async deleteSession(userId) {
+    this.sessions.delete(userId);
+    return true;
+  }
+
+  async saveBookingAttempt(attempt) {
+    this.bookingAttempts.set(attempt.key, { ...attempt });
+    return { ...attempt };
+  }
+
+  async getBookingAttempt(userId, key) {
+    const attempt = this.bookingAttempts.get(key);
+    return attempt && attempt.userId === userId ? { ...attempt } : null;
+  }
+
+  async checkHealth() {
+    return true;
+  }
+}
+
+module.exports = MemoryStorageService;
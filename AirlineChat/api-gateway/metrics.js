@@ -0,0 +1,137 @@
+const client = require('prom-client');
+
+// Prometheus metrics for the gateway, served from GET /metrics. Everything is
+// registered on one registry with the airline_chat_ prefix, next to the
+// default Node.js process metrics.
+const PREFIX = 'airline_chat_';
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register, prefix: PREFIX });
+
+// Model calls take seconds, airline API calls up to a minute with retries
+const SLOW_BUCKETS = [0.1, 0.25, 0.5, 1, 2, 5, 10, 20, 30, 60, 120];
+const FAST_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+const llmRequestDuration = new client.Histogram({
+  name: `${PREFIX}llm_request_duration_seconds`,
+  help: 'Duration of LLM calls by provider, call type (intent or response), method and outcome',
+  labelNames: ['provider', 'call_type', 'method', 'outcome'],
+  buckets: SLOW_BUCKETS,
+  registers: [register]
+});
+
+const airlineApiRequestDuration = new client.Histogram({
+  name: `${PREFIX}airline_api_request_duration_seconds`,
+  help: 'Duration of airline API calls made through ApiAdapters by operation and outcome',
+  labelNames: ['operation', 'outcome'],
+  buckets: SLOW_BUCKETS,
+  registers: [register]
+});
+
+const airlineApiRetriesTotal = new client.Counter({
+  name: `${PREFIX}airline_api_retries_total`,
+  help: 'Airline API calls retried after a transient failure, by endpoint',
+  labelNames: ['endpoint'],
+  registers: [register]
+});
+
+// 0 closed, 1 half-open, 2 open
+const airlineApiCircuitState = new client.Gauge({
+  name: `${PREFIX}airline_api_circuit_state`,
+  help: 'Circuit breaker state per airline API endpoint (0 closed, 1 half-open, 2 open)',
+  labelNames: ['endpoint'],
+  registers: [register]
+});
+
+const storageOperationDuration = new client.Histogram({
+  name: `${PREFIX}storage_operation_duration_seconds`,
+  help: 'Duration of storage operations by backend, operation and outcome',
+  labelNames: ['backend', 'operation', 'outcome'],
+  buckets: FAST_BUCKETS,
+  registers: [register]
+});
+
+const intentsTotal = new client.Counter({
+  name: `${PREFIX}intents_total`,
+  help: 'Detected intents by action',
+  labelNames: ['action'],
+  registers: [register]
+});
+
+// stage is intent, flow or response; outcome is success, api_error, error,
+// unavailable (the airline API's circuit was open) or fallback; flow is the
+// flow name for the flow stage and "none" otherwise
+const outcomesTotal = new client.Counter({
+  name: `${PREFIX}outcomes_total`,
+  help: 'Outcomes of intent detection, flows and reply generation',
+  labelNames: ['stage', 'flow', 'outcome'],
+  registers: [register]
+});
+
+const activeSocketSessions = new client.Gauge({
+  name: `${PREFIX}active_socket_sessions`,
+  help: 'Socket.io connections that have identified a user',
+  registers: [register]
+});
+
+// Outcome of an airline API call: the adapters return { error: true } for
+// API errors instead of throwing, flag network errors as ambiguous and mark
+// calls refused by an open circuit
+function adapterOutcome(result) {
+  if (!result || !result.error) {
+    return 'success';
+  }
+  if (result.code === 'CIRCUIT_OPEN') {
+    return 'circuit_open';
+  }
+  return result.ambiguous ? 'network_error' : 'api_error';
+}
+
+// Run fn, timing it with histogram under labels plus an outcome label
+// ("error" when it throws, otherwise what classify returns)
+async function observe(histogram, labels, fn, classify = () => 'success') {
+  const end = histogram.startTimer(labels);
+  try {
+    const result = await fn();
+    end({ outcome: classify(result) });
+    return result;
+  } catch (error) {
+    end({ outcome: 'error' });
+    throw error;
+  }
+}
+
+// Replace each named method of target with one that records its duration,
+// labelled with the method name as the operation
+function instrumentMethods(target, methods, histogram, labels, classify) {
+  for (const method of methods) {
+    const original = target[method];
+    if (typeof original !== 'function') {
+      continue;
+    }
+    target[method] = function instrumented(...args) {
+      return observe(histogram, { ...labels, operation: method }, () => original.apply(this, args), classify);
+    };
+  }
+  return target;
+}
+
+function recordOutcome(stage, outcome, flow = 'none') {
+  outcomesTotal.inc({ stage, flow, outcome });
+}
+
+module.exports = {
+  register,
+  llmRequestDuration,
+  airlineApiRequestDuration,
+  airlineApiRetriesTotal,
+  airlineApiCircuitState,
+  storageOperationDuration,
+  intentsTotal,
+  outcomesTotal,
+  activeSocketSessions,
+  adapterOutcome,
+  observe,
+  instrumentMethods,
+  recordOutcome
+};
@@ -0,0 +1,377 @@
+const crypto = require('crypto');
+const express = require('express');
+const schedule = require('./mockAirlineSchedule.json');
+const logger = require('./logger').child({ component: 'mockAirlineServer' });
+
+// A stand-in for the airline ticketing API, for running conversations offline:
+// npm run mock-airline, then point the adapters at it (see the README). It
+// keeps everything in memory and starts over on every restart.
+//
+// Flights are generated from mockAirlineSchedule.json for every day from today
+// to MOCK_AIRLINE_DAYS days ahead. Times are wall-clock times in UTC.
+
+const DEFAULT_PORT = 4000;
+const DEFAULT_DAYS = 30;
+const DEFAULT_TOKEN_TTL_SECONDS = 60 * 60;
+const DEFAULT_USERNAME = 'mock-agent';
+const DEFAULT_PASSWORD = 'mock-password';
+
+// Check-in opens this long before departure and closes this long before it
+const CHECK_IN_OPENS_MS = 24 * 60 * 60 * 1000;
+const CHECK_IN_CLOSES_MS = 45 * 60 * 1000;
+const BOARDING_BEFORE_MS = 40 * 60 * 1000;
+const SEAT_LETTERS = ['A', 'B', 'C', 'D', 'E', 'F'];
+
+const PATHS = {
+  login: '/api/v1/Auth/login',
+  queryFlight: '/api/v1/Flight/query',
+  buyTicket: '/api/v1/Ticket/buy',
+  bookingLookup: '/api/v1/Ticket/lookup',
+  checkIn: '/api/v1/CheckIn'
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Errors use the problem details shape of the real API, which the adapters
+// pass on to the model through `errors`
+function problem(status, title, errors) {
+  return { status, body: { title, status, ...(errors ? { errors } : {}) } };
+}
+
+function ok(body) {
+  return { status: 200, body };
+}
+
+// '2025-05-02T00:00:00.0000000' or '2025-05-02' as ms since the epoch
+function parseTime(value) {
+  if (typeof value !== 'string') {
+    return NaN;
+  }
+  const time = value.length === 10 ? `${value}T00:00:00` : value.substring(0, 19);
+  return Date.parse(`${time}Z`);
+}
+
+function formatTime(ms) {
+  return new Date(ms).toISOString().substring(0, 19);
+}
+
+function normalizeName(name) {
+  return String(name).trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function base64url(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+// The airline's state and rules, independent of HTTP. Every operation
+// resolves to { status, body }.
+class MockAirline {
+  constructor(options = {}) {
+    const env = options.env || process.env;
+    this.now = options.now || (() => Date.now());
+    this.username = options.username || env.MOCK_AIRLINE_USERNAME || DEFAULT_USERNAME;
+    this.password = options.password || env.MOCK_AIRLINE_PASSWORD || DEFAULT_PASSWORD;
+    this.tokenTtlSeconds = options.tokenTtlSeconds
+      || parseInt(env.MOCK_AIRLINE_TOKEN_TTL_SECONDS || DEFAULT_TOKEN_TTL_SECONDS, 10);
+    this.secret = crypto.randomBytes(32);
+
+    // Flights keyed by "<flightNumber>|<YYYY-MM-DD>"
+    this.flights = new Map();
+    this.bookings = [];
+    // Responses to bookings by Idempotency-Key, so retried requests don't book twice
+    this.idempotentResponses = new Map();
+    // Booking references and ticket numbers are sequential, so runs are repeatable
+    this.bookingSequence = 0;
+    this.ticketSequence = 0;
+
+    const days = options.days !== undefined ? options.days : parseInt(env.MOCK_AIRLINE_DAYS || DEFAULT_DAYS, 10);
+    this.seedFlights(options.schedule || schedule, days);
+  }
+
+  seedFlights(entries, days) {
+    const today = new Date(this.now()).toISOString().substring(0, 10);
+    for (let day = 0; day <= days; day++) {
+      const date = new Date(Date.parse(`${today}T00:00:00Z`) + day * 24 * 60 * 60 * 1000).toISOString().substring(0, 10);
+      for (const entry of entries) {
+        const departure = Date.parse(`${date}T${entry.departureTime}:00Z`);
+        this.flights.set(`${entry.flightNumber}|${date}`, {
+          flightNumber: entry.flightNumber,
+          flightDate: date,
+          airportFrom: entry.airportFrom,
+          airportTo: entry.airportTo,
+          departure,
+          arrival: departure + entry.durationMinutes * 60 * 1000,
+          duration: entry.durationMinutes,
+          price: entry.price,
+          capacity: entry.capacity,
+          sold: 0,
+          checkedIn: 0
+        });
+      }
+    }
+  }
+
+  describeFlight(flight) {
+    return {
+      flightNumber: flight.flightNumber,
+      airportFrom: flight.airportFrom,
+      airportTo: flight.airportTo,
+      departureTime: formatTime(flight.departure),
+      arrivalTime: formatTime(flight.arrival),
+      duration: flight.duration,
+      price: flight.price,
+      availableSeats: flight.capacity - flight.sold
+    };
+  }
+
+  login({ username, password } = {}) {
+    if (username !== this.username || password !== this.password) {
+      return problem(401, 'Unauthorized', { credentials: ['Invalid username or password'] });
+    }
+    const issuedAt = Math.floor(this.now() / 1000);
+    const token = this.signToken({ sub: username, iat: issuedAt, exp: issuedAt + this.tokenTtlSeconds });
+    return ok({ token });
+  }
+
+  signToken(claims) {
+    const unsigned = `${base64url({ alg: 'HS256', typ: 'JWT' })}.${base64url(claims)}`;
+    const signature = crypto.createHmac('sha256', this.secret).update(unsigned).digest('base64url');
+    return `${unsigned}.${signature}`;
+  }
+
+  // True for a token this server issued that hasn't expired
+  verifyToken(token) {
+    const parts = typeof token === 'string' ? token.split('.') : [];
+    if (parts.length !== 3) {
+      return false;
+    }
+    const expected = crypto.createHmac('sha256', this.secret).update(`${parts[0]}.${parts[1]}`).digest('base64url');
+    if (expected.length !== parts[2].length || !crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(parts[2]))) {
+      return false;
+    }
+    try {
+      const claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+      return claims.exp * 1000 > this.now();
+    } catch (error) {
+      return false;
+    }
+  }
+
+  searchFlights(query = {}) {
+    const errors = {};
+    const from = parseTime(query.dateFrom);
+    const to = parseTime(query.dateTo);
+    const people = parseInt(query.numberOfPeople, 10);
+    if (Number.isNaN(from)) errors.dateFrom = ['The dateFrom field is required and must be a date.'];
+    if (Number.isNaN(to)) errors.dateTo = ['The dateTo field is required and must be a date.'];
+    if (!query.airportFrom) errors.airportFrom = ['The airportFrom field is required.'];
+    if (!query.airportTo) errors.airportTo = ['The airportTo field is required.'];
+    if (!(people >= 1)) errors.numberOfPeople = ['The numberOfPeople field must be at least 1.'];
+    if (!errors.dateFrom && !errors.dateTo && to < from) errors.dateTo = ['dateTo must not be before dateFrom.'];
+    if (Object.keys(errors).length > 0) {
+      return problem(400, 'One or more validation errors occurred.', errors);
+    }
+
+    const airportFrom = String(query.airportFrom).toUpperCase();
+    const airportTo = String(query.airportTo).toUpperCase();
+    const items = [...this.flights.values()]
+      .filter(flight => flight.airportFrom === airportFrom && flight.airportTo === airportTo)
+      .filter(flight => flight.departure >= from && flight.departure <= to && flight.departure > this.now())
+      .filter(flight => flight.capacity - flight.sold >= people)
+      .sort((a, b) => a.departure - b.departure)
+      .map(flight => this.describeFlight(flight));
+
+    return ok({ pageNumber: 1, pageSize: items.length, totalCount: items.length, items });
+  }
+
+  buyTicket(body = {}, idempotencyKey) {
+    const fingerprint = JSON.stringify([body.flightNumber, body.flightDate, body.passengerNames]);
+    if (idempotencyKey && this.idempotentResponses.has(idempotencyKey)) {
+      const previous = this.idempotentResponses.get(idempotencyKey);
+      if (previous.fingerprint !== fingerprint) {
+        return problem(422, 'Idempotency key reused', { idempotencyKey: ['This Idempotency-Key was used for a different booking.'] });
+      }
+      return { ...previous.response, replayed: true };
+    }
+
+    const response = this.book(body);
+    // Only completed bookings are remembered; a failed request can be retried
+    if (idempotencyKey && response.status === 200) {
+      this.idempotentResponses.set(idempotencyKey, { fingerprint, response });
+    }
+    return response;
+  }
+
+  book({ flightNumber, flightDate, passengerNames } = {}) {
+    const errors = {};
+    if (!flightNumber) errors.flightNumber = ['The flightNumber field is required.'];
+    if (!DATE_PATTERN.test(flightDate || '')) errors.flightDate = ['The flightDate field is required in YYYY-MM-DD format.'];
+    const names = Array.isArray(passengerNames) ? passengerNames.filter(name => typeof name === 'string' && name.trim()) : [];
+    if (names.length === 0) errors.passengerNames = ['At least one passenger name is required.'];
+    if (Object.keys(errors).length > 0) {
+      return problem(400, 'One or more validation errors occurred.', errors);
+    }
+
+    const flight = this.flights.get(`${String(flightNumber).toUpperCase()}|${flightDate}`);
+    if (!flight) {
+      return problem(404, 'Flight not found', { flightNumber: [`There is no flight ${flightNumber} on ${flightDate}.`] });
+    }
+    if (flight.departure <= this.now()) {
+      return problem(400, 'Flight has departed', { flightDate: [`Flight ${flight.flightNumber} on ${flightDate} has already departed.`] });
+    }
+    const available = flight.capacity - flight.sold;
+    if (names.length > available) {
+      return problem(409, 'Not enough seats', { passengerNames: [`Only ${available} seats are left on ${flight.flightNumber}.`] });
+    }
+
+    flight.sold += names.length;
+    const booking = {
+      bookingReference: `MB${String(++this.bookingSequence).padStart(4, '0')}`,
+      flightNumber: flight.flightNumber,
+      flightDate,
+      passengers: names.map(name => ({
+        name: name.trim(),
+        ticketNumber: `MCK${String(++this.ticketSequence).padStart(7, '0')}`,
+        seatNumber: null
+      })),
+      createdAt: new Date(this.now()).toISOString()
+    };
+    this.bookings.push(booking);
+
+    return ok({
+      transactionStatus: 'Success',
+      bookingReference: booking.bookingReference,
+      flightNumber: booking.flightNumber,
+      flightDate,
+      passengerNames: booking.passengers.map(passenger => passenger.name),
+      ticketNumbers: booking.passengers.map(passenger => passenger.ticketNumber)
+    });
+  }
+
+  findBookings({ flightNumber, flightDate, passengerName } = {}) {
+    const name = passengerName ? normalizeName(passengerName) : null;
+    const matches = this.bookings.filter(booking =>
+      (!flightNumber || booking.flightNumber === String(flightNumber).toUpperCase())
+      && (!flightDate || booking.flightDate === String(flightDate).substring(0, 10))
+      && (!name || booking.passengers.some(passenger => normalizeName(passenger.name) === name)));
+
+    if (matches.length === 0) {
+      return problem(404, 'Booking not found');
+    }
+    return ok(matches);
+  }
+
+  checkIn({ flightNumber, date, passengerName } = {}) {
+    const errors = {};
+    if (!flightNumber) errors.flightNumber = ['The flightNumber field is required.'];
+    if (!DATE_PATTERN.test(date || '')) errors.date = ['The date field is required in YYYY-MM-DD format.'];
+    if (!passengerName) errors.passengerName = ['The passengerName field is required.'];
+    if (Object.keys(errors).length > 0) {
+      return problem(400, 'One or more validation errors occurred.', errors);
+    }
+
+    const flight = this.flights.get(`${String(flightNumber).toUpperCase()}|${date}`);
+    if (!flight) {
+      return problem(404, 'Flight not found', { flightNumber: [`There is no flight ${flightNumber} on ${date}.`] });
+    }
+
+    const name = normalizeName(passengerName);
+    const passenger = this.bookings
+      .filter(booking => booking.flightNumber === flight.flightNumber && booking.flightDate === date)
+      .flatMap(booking => booking.passengers)
+      .find(candidate => normalizeName(candidate.name) === name);
+    if (!passenger) {
+      return problem(404, 'Ticket not found', { passengerName: [`${passengerName} has no ticket for ${flight.flightNumber} on ${date}.`] });
+    }
+    if (passenger.seatNumber) {
+      return problem(409, 'Already checked in', { passengerName: [`${passenger.name} is already checked in, seat ${passenger.seatNumber}.`] });
+    }
+
+    const now = this.now();
+    if (now < flight.departure - CHECK_IN_OPENS_MS) {
+      return problem(400, 'Check-in not open', { date: [`Check-in opens at ${formatTime(flight.departure - CHECK_IN_OPENS_MS)}, 24 hours before departure.`] });
+    }
+    if (now > flight.departure - CHECK_IN_CLOSES_MS) {
+      return problem(400, 'Check-in closed', { date: ['Check-in closes 45 minutes before departure.'] });
+    }
+
+    const seat = flight.checkedIn++;
+    passenger.seatNumber = `${Math.floor(seat / SEAT_LETTERS.length) + 1}${SEAT_LETTERS[seat % SEAT_LETTERS.length]}`;
+
+    return ok({
+      transactionStatus: 'Success',
+      passengerName: passenger.name,
+      ticketNumber: passenger.ticketNumber,
+      flightNumber: flight.flightNumber,
+      date,
+      seatNumber: passenger.seatNumber,
+      boardingTime: formatTime(flight.departure - BOARDING_BEFORE_MS)
+    });
+  }
+}
+
+// Express app serving a MockAirline. MOCK_AIRLINE_LATENCY_MS delays every API
+// response and MOCK_AIRLINE_FAILURE_RATE (0 to 1) answers that share of API
+// requests with a 503, to exercise retries and the circuit breakers.
+function createMockAirlineServer(options = {}) {
+  const env = options.env || process.env;
+  const airline = options.airline || new MockAirline(options);
+  const latencyMs = options.latencyMs !== undefined ? options.latencyMs : parseInt(env.MOCK_AIRLINE_LATENCY_MS || 0, 10);
+  const failureRate = options.failureRate !== undefined ? options.failureRate : parseFloat(env.MOCK_AIRLINE_FAILURE_RATE || 0);
+  const random = options.random || Math.random;
+
+  const app = express();
+  app.use(express.json());
+  app.locals.airline = airline;
+
+  // The gateway's readiness check pings the base URL
+  app.get('/', (req, res) => res.json({ status: 'ok', service: 'mock-airline' }));
+
+  app.use('/api', (req, res, next) => {
+    logger.debug('Mock airline request', { method: req.method, path: req.path });
+    setTimeout(() => {
+      if (random() < failureRate) {
+        res.status(503).json({ title: 'Service Unavailable', status: 503 });
+        return;
+      }
+      next();
+    }, latencyMs);
+  });
+
+  function send(res, { status, body }) {
+    res.status(status).json(body);
+  }
+
+  function requireToken(req, res, next) {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    if (scheme !== 'Bearer' || !airline.verifyToken(token)) {
+      res.status(401).json({ title: 'Unauthorized', status: 401 });
+      return;
+    }
+    next();
+  }
+
+  app.post(PATHS.login, (req, res) => send(res, airline.login(req.body)));
+  app.get(PATHS.queryFlight, (req, res) => send(res, airline.searchFlights(req.query)));
+  app.post(PATHS.buyTicket, requireToken, (req, res) => {
+    const { replayed, ...response } = airline.buyTicket(req.body, req.get('Idempotency-Key'));
+    if (replayed) {
+      res.set('Idempotent-Replayed', 'true');
+    }
+    send(res, response);
+  });
+  app.get(PATHS.bookingLookup, requireToken, (req, res) => send(res, airline.findBookings(req.query)));
+  app.post(PATHS.checkIn, requireToken, (req, res) => send(res, airline.checkIn(req.body)));
+
+  return app;
+}
+
+if (require.main === module) {
+  require('dotenv').config();
+  const port = parseInt(process.env.MOCK_AIRLINE_PORT || DEFAULT_PORT, 10);
+  createMockAirlineServer().listen(port, () => {
+    logger.info(`Mock airline API listening on port ${port}`, { paths: PATHS });
+  });
+}
+
+module.exports = { createMockAirlineServer, MockAirline, PATHS };
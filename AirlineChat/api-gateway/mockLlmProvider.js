@@ -0,0 +1,161 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger').child({ component: 'mockLlmProvider' });
+
+const DEFAULT_REPLY = 'This is a mock response.';
+
+// Deterministic, offline LLM provider for development and tests. Replies come
+// from a script of rules, checked in order:
+//
+//   { "callType": "intent", "match": "book a flight", "response": { "action": "START_BUY_FLOW" } }
+//   { "callType": "response", "match": "/^yes/i", "response": "Your ticket is booked!" }
+//
+// - callType: only match calls of this type ("intent" or "response"), any if omitted
+// - match: the last user message, compared case-insensitively, or a "/regex/flags" string
+// - prompt: optional, the same kind of matcher applied to the other messages
+// - response: text, or an object returned as JSON
+// - once: drop the rule after it has been used
+//
+// For tool calls (intent detection) the response is { "tool": "BUY_TICKET", "arguments": {...} },
+// or an intent such as { "action": "CHAT", "response": "Hi!" } converted to the matching tool
+// call. A plain-text response is returned without a tool call.
+//
+// Calls no rule matches get a fixed reply: a CHAT intent or DEFAULT_REPLY.
+// Scripts recorded with LLM_RECORD_FILE can be replayed as is.
+class MockLlmProvider {
+  constructor(options = {}) {
+    this.name = 'mock';
+    this.rules = options.script || loadScript(options.scriptFile || process.env.LLM_MOCK_SCRIPT);
+    // Every request made, for inspection in tests
+    this.calls = [];
+    logger.info(`mock LLM provider initialized with ${this.rules.length} scripted responses`);
+  }
+
+  addRule(rule) {
+    this.rules.push(rule);
+    return this;
+  }
+
+  async complete(request) {
+    const response = this.findResponse(request);
+    if (response === undefined) {
+      return defaultReply(request);
+    }
+    return typeof response === 'string' ? response : JSON.stringify(response);
+  }
+
+  // Streams the scripted reply a word at a time
+  async *stream(request) {
+    const content = await this.complete(request);
+    for (const piece of content.match(/\S+\s*|\s+/g) || []) {
+      yield piece;
+    }
+  }
+
+  async completeWithTools(request) {
+    let response = this.findResponse(request);
+    if (response === undefined) {
+      response = { action: 'CHAT', response: DEFAULT_REPLY };
+    }
+
+    if (typeof response === 'string') {
+      try {
+        response = JSON.parse(response);
+      } catch (error) {
+        return { content: response, toolCalls: [] };
+      }
+    }
+
+    return { content: null, toolCalls: [toToolCall(response)] };
+  }
+
+  // Always healthy; there is nothing to reach
+  async checkHealth() {
+    return true;
+  }
+
+  // The scripted response for a request, or undefined when no rule matches
+  findResponse(request) {
+    const userText = lastUserMessage(request.messages);
+    const promptText = request.messages
+      .filter(message => message.role !== 'user')
+      .map(message => message.content)
+      .join('\n');
+
+    // The messages are copied; callers can append to the array after the call
+    this.calls.push({ ...request, messages: [...request.messages], userText });
+
+    const index = this.rules.findIndex(rule =>
+      (!rule.callType || rule.callType === request.callType) &&
+      matches(rule.match, userText) &&
+      (rule.prompt === undefined || matches(rule.prompt, promptText)));
+
+    if (index === -1) {
+      return undefined;
+    }
+
+    const rule = this.rules[index];
+    if (rule.once) {
+      this.rules.splice(index, 1);
+    }
+
+    return rule.response;
+  }
+}
+
+function loadScript(file) {
+  if (!file) {
+    return [];
+  }
+
+  const script = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+  if (!Array.isArray(script)) {
+    throw new Error(`Mock LLM script ${file} must contain an array of rules`);
+  }
+  return script;
+}
+
+function lastUserMessage(messages) {
+  const message = [...messages].reverse().find(item => item.role === 'user');
+  return message ? String(message.content) : '';
+}
+
+// A matcher is either missing (matches anything), a "/regex/flags" string or plain text
+function matches(matcher, text) {
+  if (matcher === undefined || matcher === null) {
+    return true;
+  }
+
+  const regex = String(matcher).match(/^\/(.*)\/([a-z]*)$/s);
+  if (regex) {
+    return new RegExp(regex[1], regex[2]).test(text);
+  }
+
+  return String(matcher).trim().toLowerCase() === text.trim().toLowerCase();
+}
+
+// A scripted { tool, arguments } or intent object as a tool call
+function toToolCall(response) {
+  if (response.tool) {
+    // Arguments given as a string are passed through, so malformed ones can be scripted
+    const args = typeof response.arguments === 'string' ? response.arguments : JSON.stringify(response.arguments || {});
+    return { name: response.tool, arguments: args };
+  }
+
+  let args = response.parameters || {};
+  if (response.action === 'CHAT') {
+    args = { response: response.response };
+  } else if (response.action === 'CONTINUE_FLOW') {
+    args = { flow: response.flow, collectedParams: response.collectedParams || {} };
+  }
+  return { name: response.action, arguments: JSON.stringify(args) };
+}
+
+function defaultReply(request) {
+  if (request.callType === 'intent') {
+    return JSON.stringify({ action: 'CHAT', response: DEFAULT_REPLY });
+  }
+  return DEFAULT_REPLY;
+}
+
+module.exports = MockLlmProvider;
@@ -0,0 +1,81 @@
+const OpenAI = require('openai');
+const logger = require('./logger').child({ component: 'openAiProvider' });
+
+// OpenAI chat completions. Also the base for the Azure OpenAI and local
+// providers, which speak the same API with a different client configuration.
+class OpenAiProvider {
+  constructor(options = {}) {
+    this.name = options.name || 'openai';
+    this.client = new OpenAI(options.clientOptions || {
+      apiKey: options.apiKey || process.env.OPENAI_API_KEY
+    });
+    logger.info(`${this.name} LLM provider initialized`);
+  }
+
+  getClient() {
+    return this.client;
+  }
+
+  buildRequest({ messages, model, temperature, maxTokens }) {
+    const request = { model, messages };
+    if (temperature !== undefined && temperature !== null) {
+      request.temperature = temperature;
+    }
+    if (maxTokens) {
+      request.max_tokens = maxTokens;
+    }
+    return request;
+  }
+
+  // Resolves to the text content of the first choice
+  async complete(options) {
+    const request = this.buildRequest(options);
+    if (options.json) {
+      request.response_format = { type: 'json_object' };
+    }
+
+    const completion = await this.getClient(options.model).chat.completions.create(request);
+    return completion.choices[0].message.content;
+  }
+
+  // Yields the reply text as it is generated
+  async *stream(options) {
+    const request = { ...this.buildRequest(options), stream: true };
+    const chunks = await this.getClient(options.model).chat.completions.create(request);
+    for await (const chunk of chunks) {
+      const delta = chunk.choices[0] && chunk.choices[0].delta && chunk.choices[0].delta.content;
+      if (delta) {
+        yield delta;
+      }
+    }
+  }
+
+  // A cheap authenticated request for the readiness check: list the models
+  async checkHealth() {
+    await this.client.models.list();
+    return true;
+  }
+
+  // Offer tools ({ name, description, parameters }) and require the model to
+  // call one. Resolves to { content, toolCalls: [{ name, arguments }] } with
+  // the arguments as the raw JSON string the model produced.
+  async completeWithTools(options) {
+    const request = {
+      ...this.buildRequest(options),
+      tools: options.tools.map(tool => ({ type: 'function', function: tool })),
+      tool_choice: 'required'
+    };
+
+    const completion = await this.getClient(options.model).chat.completions.create(request);
+    const message = completion.choices[0].message;
+    return {
+      content: message.content,
+      toolCalls: (message.tool_calls || []).map(call => ({
+        name: call.function.name,
+        arguments: call.function.arguments
+      }))
+    };
+  }
+}
+
+module.exports = OpenAiProvider;
@@ -0,0 +1,184 @@
+const MemoryRateLimitStore = require('./memoryRateLimitStore');
+const logger = require('./logger').child({ component: 'rateLimiter' });
+
+// Every rate limit store implements the same methods, so a shared store (e.g.
+// Redis) can be passed as options.store when the gateway runs on several
+// instances:
+// - consume(key, { capacity, refillPerSecond }, now): Promise<{ allowed, remaining, retryAfterMs }>
+// - refund(key, { capacity }): Promise<void> (gives back a token taken by consume)
+// - recordViolation(key, windowMs, now): Promise<number> (violations within the window)
+// - block(key, until): Promise<void>
+// - blockedUntil(key, now): Promise<number> (0 when not blocked)
+
+// Token bucket per scope: a burst of `capacity` messages, refilled at
+// `perMinute` messages a minute. The session scope counts new session tokens
+// per IP instead of messages.
+const DEFAULT_LIMITS = {
+  user: { capacity: 20, perMinute: 10 },
+  ip: { capacity: 60, perMinute: 30 },
+  socket: { capacity: 20, perMinute: 10 },
+  session: { capacity: 10, perMinute: 5 }
+};
+
+const DEFAULT_BLOCK_AFTER = 5;
+const DEFAULT_VIOLATION_WINDOW_SECONDS = 60;
+const DEFAULT_BLOCK_MINUTES = 15;
+
+function readNumber(value, fallback) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : fallback;
+}
+
+// Limits for one scope from RATE_LIMIT_<SCOPE>_CAPACITY and RATE_LIMIT_<SCOPE>_PER_MINUTE
+function getLimit(scope, env = process.env) {
+  const prefix = `RATE_LIMIT_${scope.toUpperCase()}`;
+  const defaults = DEFAULT_LIMITS[scope];
+  const perMinute = readNumber(env[`${prefix}_PER_MINUTE`], defaults.perMinute);
+  return {
+    capacity: readNumber(env[`${prefix}_CAPACITY`], defaults.capacity),
+    refillPerSecond: perMinute / 60
+  };
+}
+
+// Limits how often a client can send chat messages, per user, per IP and per
+// socket, since every message costs one or two model calls. Clients that keep
+// getting throttled (RATE_LIMIT_BLOCK_AFTER times within
+// RATE_LIMIT_VIOLATION_WINDOW_SECONDS) are blocked for RATE_LIMIT_BLOCK_MINUTES.
+class RateLimiter {
+  constructor(options = {}) {
+    const env = options.env || process.env;
+    this.enabled = options.enabled !== undefined ? options.enabled : env.RATE_LIMIT_ENABLED !== 'false';
+    this.store = options.store || new MemoryRateLimitStore();
+    this.limits = {
+      user: getLimit('user', env),
+      ip: getLimit('ip', env),
+      socket: getLimit('socket', env),
+      session: getLimit('session', env),
+      ...options.limits
+    };
+    this.blockAfter = readNumber(env.RATE_LIMIT_BLOCK_AFTER, DEFAULT_BLOCK_AFTER);
+    this.violationWindowMs = readNumber(env.RATE_LIMIT_VIOLATION_WINDOW_SECONDS, DEFAULT_VIOLATION_WINDOW_SECONDS) * 1000;
+    this.blockMs = readNumber(env.RATE_LIMIT_BLOCK_MINUTES, DEFAULT_BLOCK_MINUTES) * 60 * 1000;
+    this.now = options.now || (() => Date.now());
+
+    if (this.enabled) {
+      logger.info(`Rate limiting chat messages with the ${this.store.name || 'custom'} store`);
+    }
+  }
+
+  // Check a message from { userId, ip, socketId } (any may be missing). Returns
+  // { allowed: true } or { allowed: false, error } with a structured error.
+  async check({ userId, ip, socketId }) {
+    if (!this.enabled) {
+      return { allowed: true };
+    }
+
+    // Throttling on a socket counts against the user who owns it
+    return this.checkScopes([
+      { scope: 'user', id: userId, offender: userId && `user:${userId}` },
+      { scope: 'ip', id: ip, offender: ip && `ip:${ip}` },
+      { scope: 'socket', id: socketId, offender: userId ? `user:${userId}` : socketId && `socket:${socketId}` }
+    ]);
+  }
+
+  // Check a request for a session token from `ip`. Every new guest session
+  // gets its own user bucket, so issuing them is limited per IP, on top of
+  // the IP's message limit.
+  async checkSession(ip) {
+    if (!this.enabled) {
+      return { allowed: true };
+    }
+
+    return this.checkScopes([
+      { scope: 'ip', id: ip, offender: ip && `ip:${ip}` },
+      { scope: 'session', id: ip, offender: ip && `ip:${ip}` }
+    ]);
+  }
+
+  async checkScopes(entries) {
+    const now = this.now();
+    const scopes = entries.filter(entry => entry.id);
+
+    try {
+      for (const { scope, id } of scopes) {
+        const blockedUntil = await this.store.blockedUntil(`${scope}:${id}`, now);
+        if (blockedUntil) {
+          return this.reject('TEMPORARILY_BLOCKED', scope, blockedUntil - now);
+        }
+      }
+
+      // A message throttled by one scope doesn't count against the others, so
+      // the tokens already taken for it are given back
+      const consumed = [];
+      for (const { scope, id, offender } of scopes) {
+        const result = await this.store.consume(`${scope}:${id}`, this.limits[scope], now);
+        if (!result.allowed) {
+          await Promise.all(consumed.map(entry => this.store.refund(`${entry.scope}:${entry.id}`, this.limits[entry.scope])));
+          return await this.recordViolation(scope, offender, result.retryAfterMs, now);
+        }
+        consumed.push({ scope, id });
+      }
+
+      return { allowed: true };
+    } catch (error) {
+      // A store outage shouldn't take the chat down with it
+      logger.error('Error checking rate limit', { error });
+      return { allowed: true };
+    }
+  }
+
+  async recordViolation(scope, offender, retryAfterMs, now) {
+    const violations = await this.store.recordViolation(offender, this.violationWindowMs, now);
+
+    if (violations >= this.blockAfter) {
+      logger.warn(`Blocking ${offender} for ${this.blockMs / 60000} minutes after ${violations} throttled messages`);
+      await this.store.block(offender, now + this.blockMs);
+      return this.reject('TEMPORARILY_BLOCKED', scope, this.blockMs);
+    }
+
+    logger.warn(`Rate limited ${offender} (${scope} limit)`);
+    return this.reject('RATE_LIMITED', scope, retryAfterMs);
+  }
+
+  reject(code, scope, retryAfterMs) {
+    const retryAfterSeconds = Math.max(1, Math.ceil(retryAfterMs / 1000));
+    const retryAfterMinutes = Math.ceil(retryAfterSeconds / 60);
+    return {
+      allowed: false,
+      error: {
+        code,
+        scope,
+        retryAfterSeconds,
+        error: code === 'TEMPORARILY_BLOCKED'
+          ? `Too many messages. You have been temporarily blocked, please try again in ${retryAfterMinutes} minute${retryAfterMinutes === 1 ? '' : 's'}.`
+          : scope === 'session'
+            ? `Too many new sessions. Please wait ${retryAfterSeconds} seconds and try again.`
+            : `You're sending messages too quickly. Please wait ${retryAfterSeconds} seconds and try again.`
+      }
+    };
+  }
+
+  // Express middleware for chat routes; expects req.session from requireSession
+  middleware() {
+    return this.handler(req => this.check({ userId: req.session && req.session.userId, ip: req.ip }));
+  }
+
+  // Express middleware for the route that issues session tokens
+  sessionMiddleware() {
+    return this.handler(req => this.checkSession(req.ip));
+  }
+
+  handler(check) {
+    return async (req, res, next) => {
+      const result = await check(req);
+      if (result.allowed) {
+        return next();
+      }
+
+      res.set('Retry-After', String(result.error.retryAfterSeconds));
+      return res.status(429).json(result.error);
+    };
+  }
+}
+
+module.exports = RateLimiter;
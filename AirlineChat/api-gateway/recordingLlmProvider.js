@@ -0,0 +1,73 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger').child({ component: 'recordingLlmProvider' });
+
+// Wraps a provider and appends every exchange to a JSON file in the mock
+// provider's script format, so a real session can be replayed offline with
+// LLM_PROVIDER=mock and LLM_MOCK_SCRIPT pointing at the recording.
+class RecordingLlmProvider {
+  constructor(provider, file) {
+    this.provider = provider;
+    this.name = provider.name;
+    this.file = path.resolve(file);
+    this.entries = fs.existsSync(this.file) ? JSON.parse(fs.readFileSync(this.file, 'utf8')) : [];
+    logger.info(`Recording ${provider.name} LLM responses to ${this.file}`);
+  }
+
+  async complete(request) {
+    const content = await this.provider.complete(request);
+    this.record(request, content);
+    return content;
+  }
+
+  async *stream(request) {
+    let content = '';
+    for await (const delta of this.provider.stream(request)) {
+      content += delta;
+      yield delta;
+    }
+    this.record(request, content);
+  }
+
+  async completeWithTools(request) {
+    const result = await this.provider.completeWithTools(request);
+    const toolCall = result.toolCalls[0];
+
+    let response = result.content;
+    if (toolCall) {
+      try {
+        response = { tool: toolCall.name, arguments: JSON.parse(toolCall.arguments || '{}') };
+      } catch (error) {
+        // Keep malformed arguments as they were so the replay fails the same way
+        response = { tool: toolCall.name, arguments: toolCall.arguments };
+      }
+    }
+
+    this.record(request, response);
+    return result;
+  }
+
+  checkHealth() {
+    return this.provider.checkHealth();
+  }
+
+  record(request, response) {
+    const userMessage = [...request.messages].reverse().find(message => message.role === 'user');
+
+    this.entries.push({
+      callType: request.callType,
+      match: userMessage ? userMessage.content : '',
+      response,
+      once: true
+    });
+
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      fs.writeFileSync(this.file, JSON.stringify(this.entries, null, 2));
+    } catch (error) {
+      logger.error('Error writing LLM recording', { error });
+    }
+  }
+}
+
+module.exports = RecordingLlmProvider;
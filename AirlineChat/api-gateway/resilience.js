@@ -0,0 +1,209 @@
+const logger = require('./logger').child({ component: 'resilience' });
+const { airlineApiRetriesTotal, airlineApiCircuitState } = require('./metrics');
+
+const DEFAULT_ATTEMPTS = 3;
+const DEFAULT_BASE_DELAY_MS = 500;
+const DEFAULT_MAX_DELAY_MS = 5000;
+const DEFAULT_FAILURE_THRESHOLD = 5;
+const DEFAULT_RESET_SECONDS = 30;
+
+// Circuit states, with the value reported by the airline_api_circuit_state gauge
+const CLOSED = 'closed';
+const HALF_OPEN = 'half_open';
+const OPEN = 'open';
+const STATE_VALUES = { [CLOSED]: 0, [HALF_OPEN]: 1, [OPEN]: 2 };
+
+// Connection errors raised before the request reached the server, so even a
+// call that isn't idempotent can be sent again
+const NOT_SENT_CODES = new Set(['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN']);
+// Responses that say the API is overloaded or briefly down rather than that
+// the request was wrong
+const TRANSIENT_STATUSES = new Set([429, 502, 503, 504]);
+
+function readNumber(value, fallback) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : fallback;
+}
+
+// Thrown instead of calling an endpoint whose circuit is open
+class CircuitOpenError extends Error {
+  constructor(endpoint, retryAfterMs) {
+    super(`The ${endpoint} service is temporarily unavailable`);
+    this.code = 'CIRCUIT_OPEN';
+    this.endpoint = endpoint;
+    this.retryAfterSeconds = Math.max(1, Math.ceil(retryAfterMs / 1000));
+  }
+}
+
+// A network error, a timeout or an overloaded API: worth retrying, and a sign
+// the endpoint is unhealthy. Any other HTTP error is the API answering.
+function isTransientError(error) {
+  if (!error || error.code === 'CIRCUIT_OPEN') {
+    return false;
+  }
+  if (error.response) {
+    return TRANSIENT_STATUSES.has(error.response.status);
+  }
+  return true;
+}
+
+function requestNotSent(error) {
+  return Boolean(error) && !error.response && NOT_SENT_CODES.has(error.code);
+}
+
+// Exponential backoff with full jitter: a random delay up to
+// baseDelayMs * 2^(attempt - 1), capped at maxDelayMs
+function backoffDelay(attempt, baseDelayMs, maxDelayMs, random = Math.random) {
+  return Math.round(random() * Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1)));
+}
+
+// Closed: calls go through and consecutive failures are counted. After
+// failureThreshold failures the circuit opens and calls fail fast with a
+// CircuitOpenError. After resetTimeoutMs one trial call is let through
+// (half-open); its success closes the circuit and its failure opens it again.
+class CircuitBreaker {
+  constructor(name, { failureThreshold, resetTimeoutMs, now } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold || DEFAULT_FAILURE_THRESHOLD;
+    this.resetTimeoutMs = resetTimeoutMs || DEFAULT_RESET_SECONDS * 1000;
+    this.now = now || (() => Date.now());
+    this.state = CLOSED;
+    this.failures = 0;
+    this.openedAt = 0;
+    this.trialInFlight = false;
+    airlineApiCircuitState.set({ endpoint: name }, STATE_VALUES[CLOSED]);
+  }
+
+  // Run fn unless the circuit is open. isFailure decides which errors count
+  // against the endpoint; the others mean it answered and is healthy.
+  async execute(fn, isFailure = isTransientError) {
+    this.beforeCall();
+    const trial = this.state === HALF_OPEN;
+    if (trial) {
+      this.trialInFlight = true;
+    }
+
+    try {
+      const result = await fn();
+      this.onSuccess();
+      return result;
+    } catch (error) {
+      if (isFailure(error)) {
+        this.onFailure(error);
+      } else {
+        this.onSuccess();
+      }
+      throw error;
+    } finally {
+      if (trial) {
+        this.trialInFlight = false;
+      }
+    }
+  }
+
+  beforeCall() {
+    if (this.state === OPEN) {
+      const retryAfterMs = this.openedAt + this.resetTimeoutMs - this.now();
+      if (retryAfterMs > 0) {
+        throw new CircuitOpenError(this.name, retryAfterMs);
+      }
+      this.setState(HALF_OPEN);
+    }
+    // Only one trial call at a time while half-open
+    if (this.state === HALF_OPEN && this.trialInFlight) {
+      throw new CircuitOpenError(this.name, this.resetTimeoutMs);
+    }
+  }
+
+  onSuccess() {
+    this.failures = 0;
+    if (this.state !== CLOSED) {
+      logger.info(`Circuit for ${this.name} closed`);
+      this.setState(CLOSED);
+    }
+  }
+
+  onFailure(error) {
+    this.failures += 1;
+    if (this.state === HALF_OPEN || this.failures >= this.failureThreshold) {
+      logger.warn(`Circuit for ${this.name} opened`, { failures: this.failures, error });
+      this.openedAt = this.now();
+      this.setState(OPEN);
+    }
+  }
+
+  setState(state) {
+    this.state = state;
+    airlineApiCircuitState.set({ endpoint: this.name }, STATE_VALUES[state]);
+  }
+}
+
+// Retries and circuit breakers for the airline APIs, one breaker per
+// endpoint. Failed calls are retried up to AIRLINE_API_RETRY_ATTEMPTS
+// attempts in total with jittered exponential backoff
+// (AIRLINE_API_RETRY_BASE_MS, capped at AIRLINE_API_RETRY_MAX_MS). An
+// endpoint's circuit opens after CIRCUIT_BREAKER_FAILURE_THRESHOLD failures in
+// a row and stays open for CIRCUIT_BREAKER_RESET_SECONDS.
+class ResiliencePolicy {
+  constructor(options = {}) {
+    const env = options.env || process.env;
+    this.attempts = Math.max(1, readNumber(env.AIRLINE_API_RETRY_ATTEMPTS, DEFAULT_ATTEMPTS));
+    this.baseDelayMs = readNumber(env.AIRLINE_API_RETRY_BASE_MS, DEFAULT_BASE_DELAY_MS);
+    this.maxDelayMs = readNumber(env.AIRLINE_API_RETRY_MAX_MS, DEFAULT_MAX_DELAY_MS);
+    this.failureThreshold = readNumber(env.CIRCUIT_BREAKER_FAILURE_THRESHOLD, DEFAULT_FAILURE_THRESHOLD);
+    this.resetTimeoutMs = readNumber(env.CIRCUIT_BREAKER_RESET_SECONDS, DEFAULT_RESET_SECONDS) * 1000;
+    this.now = options.now || (() => Date.now());
+    this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+    this.breakers = new Map();
+  }
+
+  breaker(endpoint) {
+    if (!this.breakers.has(endpoint)) {
+      this.breakers.set(endpoint, new CircuitBreaker(endpoint, {
+        failureThreshold: this.failureThreshold,
+        resetTimeoutMs: this.resetTimeoutMs,
+        now: this.now
+      }));
+    }
+    return this.breakers.get(endpoint);
+  }
+
+  // Call request() through the endpoint's breaker, retrying transient
+  // failures. Only idempotent calls (reads, or writes carrying an idempotency
+  // key) are retried after a failure that may have reached the API; others
+  // are retried only when the connection was never made.
+  async execute(endpoint, request, { idempotent = false } = {}) {
+    const breaker = this.breaker(endpoint);
+    const canRetry = idempotent ? isTransientError : requestNotSent;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await breaker.execute(request);
+      } catch (error) {
+        if (attempt >= this.attempts || !canRetry(error)) {
+          throw error;
+        }
+        const delay = backoffDelay(attempt, this.baseDelayMs, this.maxDelayMs);
+        logger.warn(`Retrying ${endpoint} in ${delay}ms`, { attempt, error });
+        airlineApiRetriesTotal.inc({ endpoint });
+        await this.sleep(delay);
+      }
+    }
+  }
+
+  // Endpoints whose circuit isn't closed, for the readiness check
+  openCircuits() {
+    return [...this.breakers.values()]
+      .filter(breaker => breaker.state !== CLOSED)
+      .map(breaker => ({ endpoint: breaker.name, state: breaker.state }));
+  }
+}
+
+module.exports = {
+  ResiliencePolicy,
+  CircuitBreaker,
+  CircuitOpenError,
+  isTransientError,
+  requestNotSent,
+  backoffDelay
+};
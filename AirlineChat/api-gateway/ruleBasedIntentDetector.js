@@ -0,0 +1,206 @@
+const flowRegistry = require('./flows');
+const { resolveAirport } = require('./airportResolver');
+const { parseDateRange } = require('./dateParser');
+
+// Pattern-based intent detection that needs no LLM. AiService falls back to
+// it when the model fails or times out, and it can be selected as the primary
+// detector with INTENT_DETECTOR=rules. It returns the same intent shape as the
+// model: { action, parameters }, { action: 'CONTINUE_FLOW', flow, collectedParams }
+// or { action: 'CHAT', response }, leaving validation to the flow's slots.
+
+// Checked in order, so "book a flight from IST to LHR" is a booking, not a search
+const FLOW_PATTERNS = [
+  ['CHECK_IN', /\bcheck[\s-]?in\b/i],
+  ['BUY_TICKET', /\b(book|buy|purchase|reserve)\b/i],
+  ['QUERY_FLIGHT', /\b(search|find|look(ing)? for|show|any|available)\b.*\bflights?\b|\bflights?\b.*\b(from|to)\b|\bfly(ing)?\b/i]
+];
+
+const GREETING_REPLY = 'Hello! I can help you search for flights, book tickets and check in. What would you like to do?';
+const THANKS_REPLY = "You're welcome! Is there anything else I can help you with?";
+const HELP_REPLY = 'I can help you search for flights, book a ticket or check in for a flight. What would you like to do?';
+
+const COUNT_WORDS = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9 };
+const FLIGHT_NUMBER = /\b([A-Z]{2}|[A-Z]\d|\d[A-Z])\d{1,5}\b/i;
+// Words that end an airport name in "from Istanbul to London tomorrow"
+const AIRPORT_STOP = /\s+(?:on|for|at|in|next|this|tomorrow|today|tonight|between|with|departing|leaving|and)\b|[,.?!]|$/i;
+const NAME = "[A-Z][a-zA-Z'-]+(?:\\s+[A-Z][a-zA-Z'-]+)+";
+const NAMES = new RegExp(`\\b(?:[Ff]or|[Pp]assengers?|[Nn]ames?(?:\\s+is|\\s+are)?|[Nn]amed|I am|I'm)\\s*:?\\s+(${NAME}(?:\\s*(?:,|and|&)\\s*${NAME})*)`);
+// Longest date phrase we look for, in words ("between May 2 and May 5")
+const MAX_DATE_WORDS = 6;
+// Words the date parser skips, kept out of the ends of a date phrase
+const DATE_FILLER = /^(on|the|of|for|departing|leaving)$/i;
+
+// The longest run of leading words that names an airport or city
+function leadingAirport(text) {
+  const words = text.trim().split(/\s+/).slice(0, 4);
+  for (let count = words.length; count > 0; count--) {
+    const candidate = words.slice(0, count).join(' ');
+    if (resolveAirport(candidate).status !== 'not_found') {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+function extractAirports(message) {
+  let match = message.match(new RegExp(`\\bfrom\\s+(.+?)\\s+to\\s+(.+?)(?=${AIRPORT_STOP.source})`, 'i'));
+  if (match) {
+    return [leadingAirport(match[1]), leadingAirport(match[2])];
+  }
+
+  match = message.match(new RegExp(`\\bto\\s+(.+?)\\s+from\\s+(.+?)(?=${AIRPORT_STOP.source})`, 'i'));
+  if (match) {
+    return [leadingAirport(match[2]), leadingAirport(match[1])];
+  }
+
+  // Bare airport codes, in the order they were mentioned
+  const codes = (message.match(/\b[A-Z]{3}\b/g) || [])
+    .filter(code => resolveAirport(code).status !== 'not_found');
+  if (codes.length > 0) {
+    return [codes[0], codes[1] || null];
+  }
+
+  match = message.match(/\bto\s+(.+)$/i);
+  return [null, match ? leadingAirport(match[1]) : null];
+}
+
+// The longest phrase the date parser understands, e.g. "next Friday" or "between May 2 and 5"
+function extractDate(message, context) {
+  const words = message.split(/\s+/).map(word => word.replace(/[,?!]+$/, '')).filter(Boolean);
+  let best = null;
+
+  for (let start = 0; start < words.length; start++) {
+    for (let length = Math.min(MAX_DATE_WORDS, words.length - start); length > 0; length--) {
+      if (best && length <= best.length) {
+        break;
+      }
+      const phraseWords = words.slice(start, start + length);
+      if (DATE_FILLER.test(phraseWords[0]) || DATE_FILLER.test(phraseWords[length - 1])) {
+        continue;
+      }
+      const phrase = phraseWords.join(' ');
+      if (parseDateRange(phrase, context)) {
+        best = { phrase, length };
+      }
+    }
+  }
+
+  return best ? best.phrase : null;
+}
+
+function extractPassengerCount(message) {
+  if (/\b(just me|only me|myself|alone)\b/i.test(message)) {
+    return 1;
+  }
+  const match = message.match(/\b(\d+|one|two|three|four|five|six|seven|eight|nine)\s+(passengers?|people|persons|adults|travell?ers|tickets|seats)\b/i);
+  if (!match) {
+    return null;
+  }
+  return COUNT_WORDS[match[1].toLowerCase()] || parseInt(match[1], 10);
+}
+
+function extractNames(message) {
+  const match = message.match(NAMES);
+  if (!match) {
+    return [];
+  }
+  return match[1].split(/\s*(?:,|\band\b|&)\s*/).map(name => name.trim()).filter(Boolean);
+}
+
+// Everything we can recognize in a message, independent of the flow
+function extractEntities(message, context = {}) {
+  const flightNumber = message.match(FLIGHT_NUMBER);
+  const [origin, destination] = extractAirports(message);
+
+  return {
+    flightNumber: flightNumber ? flightNumber[0].toUpperCase() : null,
+    airports: [origin, destination],
+    date: extractDate(message, context),
+    passengers: extractPassengerCount(message),
+    names: extractNames(message)
+  };
+}
+
+// Map entities onto a flow's slots by slot type
+function slotParams(flow, entities) {
+  const params = {};
+  let airportIndex = 0;
+  let dateUsed = false;
+
+  for (const slot of flow.slots) {
+    let value = null;
+
+    if (slot.type === 'flightNumber') {
+      value = entities.flightNumber;
+    } else if (slot.type === 'airport') {
+      value = entities.airports[airportIndex++];
+    } else if ((slot.type === 'date' || slot.type === 'dateRange') && !dateUsed) {
+      value = entities.date;
+      dateUsed = true;
+    } else if (slot.type === 'integer') {
+      value = entities.passengers;
+    } else if (slot.type === 'name') {
+      value = entities.names[0];
+    } else if (slot.type === 'nameList') {
+      value = entities.names.length > 0 ? entities.names : null;
+    }
+
+    if (value !== null && value !== undefined) {
+      params[slot.name] = value;
+    }
+  }
+
+  return params;
+}
+
+function requestedFlow(message) {
+  const entry = FLOW_PATTERNS.find(([, pattern]) => pattern.test(message));
+  return entry ? flowRegistry.getFlow(entry[0]) : null;
+}
+
+function chatReply(message) {
+  if (/^\s*(hi|hello|hey|good (morning|afternoon|evening)|merhaba)\b/i.test(message)) {
+    return GREETING_REPLY;
+  }
+  if (/\b(thanks|thank you|cheers)\b/i.test(message)) {
+    return THANKS_REPLY;
+  }
+  return HELP_REPLY;
+}
+
+class RuleBasedIntentDetector {
+  constructor() {
+    this.name = 'rules';
+  }
+
+  // Same signature as AiService.detectIntent. The conversation state carries
+  // the active flow plus the current time and time zone for date phrases.
+  detectIntent(message, conversationState = {}) {
+    const text = String(message || '').trim();
+    const entities = extractEntities(text, conversationState);
+    const requested = requestedFlow(text);
+    const activeFlow = flowRegistry.getFlow(conversationState.activeFlow);
+
+    // Anything that doesn't start a different flow continues the active one
+    if (activeFlow && (!requested || requested.name === activeFlow.name)) {
+      const collectedParams = slotParams(activeFlow, entities);
+      const currentSlot = activeFlow.slots.find(slot => slot.name === conversationState.currentStep);
+
+      // A plain answer to the question we just asked ("Istanbul", "John Smith")
+      if (currentSlot && text && Object.keys(collectedParams).length === 0) {
+        collectedParams[currentSlot.name] = text;
+      }
+
+      return { action: 'CONTINUE_FLOW', flow: activeFlow.name, collectedParams };
+    }
+
+    if (requested) {
+      return { action: requested.name, parameters: slotParams(requested, entities) };
+    }
+
+    return { action: 'CHAT', response: chatReply(text) };
+  }
+}
+
+module.exports = RuleBasedIntentDetector;
+module.exports.extractEntities = extractEntities;
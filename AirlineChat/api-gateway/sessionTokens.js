@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+const logger = require('./logger').child({ component: 'sessionTokens' });
+
+const DEFAULT_TTL_HOURS = 24 * 30;
+
+function base64url(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+// Issues and checks the signed session tokens clients send with every REST
+// request (Authorization: Bearer <token>) and Socket.io handshake
+// (auth: { token }). A token is base64url(JSON payload) + "." + its
+// HMAC-SHA256 signature; the payload holds the userId (sub), whether it is a
+// guest session, and when it was issued and expires. The userId is never
+// taken from the request itself.
+class SessionTokenService {
+  constructor(options = {}) {
+    this.secret = options.secret || process.env.SESSION_TOKEN_SECRET;
+    if (!this.secret) {
+      // Tokens signed with a random secret stop working when the server restarts
+      logger.warn('SESSION_TOKEN_SECRET is not set, using a random secret for this process');
+      this.secret = crypto.randomBytes(32).toString('hex');
+    }
+
+    const ttlHours = options.ttlHours !== undefined
+      ? options.ttlHours
+      : parseFloat(process.env.SESSION_TOKEN_TTL_HOURS || DEFAULT_TTL_HOURS);
+    this.ttlMs = ttlHours * 60 * 60 * 1000;
+    this.now = options.now || (() => Date.now());
+  }
+
+  sign(encodedPayload) {
+    return crypto.createHmac('sha256', this.secret).update(encodedPayload).digest('base64url');
+  }
+
+  // Returns { token, userId, guest, expiresAt }
+  issue(userId, { guest = false } = {}) {
+    const issuedAt = this.now();
+    const payload = {
+      sub: userId,
+      guest,
+      iat: Math.floor(issuedAt / 1000),
+      exp: Math.floor((issuedAt + this.ttlMs) / 1000)
+    };
+    const encodedPayload = base64url(JSON.stringify(payload));
+
+    return {
+      token: `${encodedPayload}.${this.sign(encodedPayload)}`,
+      userId,
+      guest,
+      expiresAt: new Date(payload.exp * 1000).toISOString()
+    };
+  }
+
+  // A new anonymous session with a server-generated userId
+  createGuestSession() {
+    return this.issue(`guest-${crypto.randomUUID()}`, { guest: true });
+  }
+
+  // The session for a token, or null when it is missing, forged or expired
+  verify(token) {
+    if (typeof token !== 'string') {
+      return null;
+    }
+
+    const [encodedPayload, signature, ...rest] = token.split('.');
+    if (!encodedPayload || !signature || rest.length > 0) {
+      return null;
+    }
+
+    const expected = Buffer.from(this.sign(encodedPayload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    try {
+      const payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+      if (!payload.sub || typeof payload.exp !== 'number' || payload.exp * 1000 <= this.now()) {
+        return null;
+      }
+      return { userId: payload.sub, guest: Boolean(payload.guest), expiresAt: new Date(payload.exp * 1000).toISOString() };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // The session for a request's "Authorization: Bearer <token>" header, or null
+  fromRequest(req) {
+    const header = req.get('authorization') || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    return match ? this.verify(match[1].trim()) : null;
+  }
+
+  // Express middleware: sets req.session from the bearer token or answers 401
+  requireSession() {
+    return (req, res, next) => {
+      const session = this.fromRequest(req);
+
+      if (!session) {
+        return res.status(401).json({ error: 'Invalid or missing session token' });
+      }
+
+      req.session = session;
+      return next();
+    };
+  }
+
+  // Socket.io middleware: sets socket.session from the handshake token or refuses the connection
+  authenticateSocket() {
+    return (socket, next) => {
+      const session = this.verify(socket.handshake.auth && socket.handshake.auth.token);
+
+      if (!session) {
+        return next(new Error('unauthorized'));
+      }
+
+      socket.session = session;
+      socket.userId = session.userId;
+      return next();
+    };
+  }
+}
+
+module.exports = SessionTokenService;
@@ -0,0 +1,202 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger').child({ component: 'sqliteStorageService' });
+
+// File-backed SQLite storage backend with the same interface as CosmosDbService.
+// Gives persistent conversation history without any cloud dependency.
+class SqliteStorageService {
+  constructor(config) {
+    this.name = 'sqlite';
+    this.config = config || {
+      filename: process.env.SQLITE_FILENAME || path.join(__dirname, 'data', 'airline-chat.db')
+    };
+    this.db = null;
+  }
+
+  async initialize() {
+    try {
+      // Loaded lazily so the native module is only needed when SQLite is selected
+      const Database = require('better-sqlite3');
+
+      if (this.config.filename !== ':memory:') {
+        fs.mkdirSync(path.dirname(this.config.filename), { recursive: true });
+      }
+
+      logger.info(`Opening SQLite database: ${this.config.filename}`);
+      this.db = new Database(this.config.filename);
+      this.db.pragma('journal_mode = WAL');
+
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS messages (
+          id TEXT NOT NULL,
+          user_id TEXT NOT NULL,
+          timestamp TEXT,
+          data TEXT NOT NULL,
+          PRIMARY KEY (user_id, id)
+        );
+        CREATE INDEX IF NOT EXISTS idx_messages_user_timestamp ON messages (user_id, timestamp);
+        CREATE TABLE IF NOT EXISTS sessions (
+          user_id TEXT PRIMARY KEY,
+          data TEXT NOT NULL
+        );
+        CREATE TABLE IF NOT EXISTS booking_attempts (
+          key TEXT PRIMARY KEY,
+          user_id TEXT NOT NULL,
+          data TEXT NOT NULL
+        );
+      `);
+
+      logger.info('Connected to SQLite database');
+      return true;
+    } catch (error) {
+      logger.error('Error initializing SQLite database', { error });
+      if (error.code === 'MODULE_NOT_FOUND') {
+        logger.error('The better-sqlite3 package is not installed. Run npm install to add it.');
+      }
+      this.db = null;
+      return false;
+    }
+  }
+
+  async saveMessage(message) {
+    if (!this.db) {
+      logger.warn('SQLite database not initialized');
+      return null;
+    }
+
+    try {
+      this.db
+        .prepare('INSERT INTO messages (id, user_id, timestamp, data) VALUES (?, ?, ?, ?)')
+        .run(String(message.id), message.userId, message.timestamp || null, JSON.stringify(message));
+      return { ...message };
+    } catch (error) {
+      logger.error('Error saving message to SQLite', { error });
+      return null;
+    }
+  }
+
+  async getConversationHistory(userId, limit = 20) {
+    if (!this.db) {
+      logger.warn('SQLite database not initialized');
+      return [];
+    }
+
+    try {
+      const rows = this.db
+        .prepare('SELECT data FROM messages WHERE user_id = ? ORDER BY timestamp DESC LIMIT ?')
+        .all(userId, limit);
+      return rows.map(row => JSON.parse(row.data)).reverse(); // Return in chronological order
+    } catch (error) {
+      logger.error('Error retrieving conversation history from SQLite', { error });
+      return [];
+    }
+  }
+
+  async deleteConversationHistory(userId) {
+    if (!this.db) {
+      logger.warn('SQLite database not initialized');
+      return false;
+    }
+
+    try {
+      logger.info(`Deleting conversation history for user: ${userId}`);
+      const result = this.db.prepare('DELETE FROM messages WHERE user_id = ?').run(userId);
+      logger.info(`Deleted ${result.changes} messages for user ${userId}`);
+      return true;
+    } catch (error) {
+      logger.error('Error deleting conversation history from SQLite', { error });
+      return false;
+    }
+  }
+
+  async saveSession(userId, state) {
+    if (!this.db) {
+      logger.warn('SQLite database not initialized');
+      return null;
+    }
+
+    try {
+      const storedSession = { ...state, userId };
+      this.db
+        .prepare('INSERT INTO sessions (user_id, data) VALUES (?, ?) ON CONFLICT(user_id) DO UPDATE SET data = excluded.data')
+        .run(userId, JSON.stringify(storedSession));
+      return storedSession;
+    } catch (error) {
+      logger.error('Error saving session to SQLite', { error });
+      return null;
+    }
+  }
+
+  async getSession(userId) {
+    if (!this.db) {
+      logger.warn('SQLite database not initialized');
+      return null;
+    }
+
+    try {
+      const row = this.db.prepare('SELECT data FROM sessions WHERE user_id = ?').get(userId);
+      return row ? JSON.parse(row.data) : null;
+    } catch (error) {
+      logger.error('Error retrieving session from SQLite', { error });
+      return null;
+    }
+  }
+
+  async deleteSession(userId) {
+    if (!this.db) {
+      logger.warn('SQLite database not initialized');
+      return false;
+    }
+
+    try {
+      this.db.prepare('DELETE FROM sessions WHERE user_id = ?').run(userId);
+      return true;
+    } catch (error) {
+      logger.error('Error deleting session from SQLite', { error });
+      return false;
+    }
+  }
+
+  async saveBookingAttempt(attempt) {
+    if (!this.db) {
+      logger.warn('SQLite database not initialized');
+      return null;
+    }
+
+    try {
+      this.db
+        .prepare('INSERT INTO booking_attempts (key, user_id, data) VALUES (?, ?, ?) ON CONFLICT(key) DO UPDATE SET data = excluded.data')
+        .run(attempt.key, attempt.userId, JSON.stringify(attempt));
+      return { ...attempt };
+    } catch (error) {
+      logger.error('Error saving booking attempt to SQLite', { error });
+      return null;
+    }
+  }
+
+  async getBookingAttempt(userId, key) {
+    if (!this.db) {
+      logger.warn('SQLite database not initialized');
+      return null;
+    }
+
+    try {
+      const row = this.db.prepare('SELECT data FROM booking_attempts WHERE key = ? AND user_id = ?').get(key, userId);
+      return row ? JSON.parse(row.data) : null;
+    } catch (error) {
+      logger.error('Error retrieving booking attempt from SQLite', { error });
+      return null;
+    }
+  }
+
+  // Used by the readiness check; throws when the database isn't usable
+  async checkHealth() {
+    if (!this.db) {
+      throw new Error('SQLite database not initialized');
+    }
+    this.db.prepare('SELECT 1').get();
+    return true;
+  }
+}
+
+module.exports = SqliteStorageService;
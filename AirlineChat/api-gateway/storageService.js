@@ -0,0 +1,49 @@
+const CosmosDbService = require('./cosmosDbService');
+const MemoryStorageService = require('./memoryStorageService');
+const SqliteStorageService = require('./sqliteStorageService');
+const { instrumentMethods, storageOperationDuration } = require('./metrics');
+const logger = require('./logger').child({ component: 'storageService' });
+
+// Every storage backend implements the same methods:
+// - initialize(): Promise<boolean>
+// - saveMessage(message): Promise<object|null>
+// - getConversationHistory(userId, limit): Promise<object[]>
+// - deleteConversationHistory(userId): Promise<boolean>
+// - saveSession(userId, state): Promise<object|null>
+// - getSession(userId): Promise<object|null>
+// - deleteSession(userId): Promise<boolean>
+// - saveBookingAttempt(attempt): Promise<object|null>
+// - getBookingAttempt(userId, key): Promise<object|null>
+// - checkHealth(): Promise<true>, rejecting when the backend can't be used
+const OPERATIONS = [
+  'saveMessage', 'getConversationHistory', 'deleteConversationHistory',
+  'saveSession', 'getSession', 'deleteSession',
+  'saveBookingAttempt', 'getBookingAttempt'
+];
+
+const providers = {
+  cosmos: CosmosDbService,
+  memory: MemoryStorageService,
+  sqlite: SqliteStorageService
+};
+
+// Pick the storage backend from STORAGE_PROVIDER. When it is not set we keep
+// using Cosmos DB if it is configured and fall back to in-memory storage otherwise.
+function createStorageService(provider = process.env.STORAGE_PROVIDER) {
+  let name = (provider || '').trim().toLowerCase();
+
+  if (!name) {
+    name = process.env.COSMOS_ENDPOINT && process.env.COSMOS_KEY ? 'cosmos' : 'memory';
+  }
+
+  const StorageService = providers[name];
+  if (!StorageService) {
+    throw new Error(`Unknown storage provider "${provider}". Expected one of: ${Object.keys(providers).join(', ')}`);
+  }
+
+  logger.info(`Using ${name} storage provider`);
+  // Each operation is timed for the storage_operation_duration_seconds metric
+  return instrumentMethods(new StorageService(), OPERATIONS, storageOperationDuration, { backend: name });
+}
+
+module.exports = { createStorageService };
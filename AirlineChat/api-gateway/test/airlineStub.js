@@ -0,0 +1,88 @@
+const http = require('http');
+const express = require('express');
+const { createMockAirlineServer, MockAirline, PATHS } = require('../mockAirlineServer');
+
+// Endpoint names by path, for the recorded calls
+const ENDPOINTS = Object.fromEntries(Object.entries(PATHS).map(([name, path]) => [path, name]));
+
+// The mock airline API on a local port, for the gateway's own adapters to
+// call over HTTP. reset() starts each conversation on a fresh MockAirline.
+// Every API request except logins is recorded in `calls` as
+// { endpoint, method, args }, with the query or body the adapters sent.
+// Logins are left out: whether one is needed depends on the token left by
+// earlier conversations.
+//
+// Faults ({ endpoint, status }) replace the next successful response from that
+// endpoint with an error of that status. The airline still handles the
+// request, as when a proxy times out after the API did its work.
+class AirlineStub {
+  constructor() {
+    this.calls = [];
+    this.faults = [];
+    this.app = null;
+    this.server = null;
+
+    const front = express();
+    front.use(express.json());
+    front.use((req, res, next) => {
+      const endpoint = ENDPOINTS[req.path];
+      if (endpoint && endpoint !== 'login') {
+        const args = req.method === 'GET' ? req.query : req.body;
+        this.calls.push({ endpoint, method: req.method, args: JSON.parse(JSON.stringify(args)) });
+        this.injectFault(endpoint, res);
+      }
+      this.app(req, res, next);
+    });
+    this.front = front;
+  }
+
+  injectFault(endpoint, res) {
+    const index = this.faults.findIndex(fault => fault.endpoint === endpoint);
+    if (index === -1) {
+      return;
+    }
+    const json = res.json.bind(res);
+    res.json = body => {
+      if (res.statusCode >= 300) {
+        return json(body);
+      }
+      const [fault] = this.faults.splice(index, 1);
+      res.status(fault.status);
+      return json({ title: 'Injected fault', status: fault.status });
+    };
+  }
+
+  // Resolves to the base URL once the server is listening
+  async start() {
+    this.server = http.createServer(this.front);
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(0, '127.0.0.1', resolve);
+    });
+    return `http://127.0.0.1:${this.server.address().port}`;
+  }
+
+  // A new airline on its own clock, with options.bookings already made and
+  // options.faults to inject
+  reset(options = {}) {
+    const airline = new MockAirline(options);
+    for (const booking of options.bookings || []) {
+      airline.book(booking);
+    }
+    this.app = createMockAirlineServer({ airline, latencyMs: 0, failureRate: 0 });
+    this.calls = [];
+    this.faults = (options.faults || []).map(fault => ({ ...fault }));
+  }
+
+  async stop() {
+    if (this.server) {
+      const closed = new Promise(resolve => this.server.close(resolve));
+      // The adapters' keep-alive connections would hold the server open
+      this.server.closeAllConnections();
+      await closed;
+      this.server = null;
+    }
+  }
+}
+
+module.exports = AirlineStub;
@@ -0,0 +1,27 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseConfirmation } = require('../confirmation');
+
+test('parseConfirmation confirms explicit yeses', () => {
+  assert.equal(parseConfirmation('yes'), 'confirm');
+  assert.equal(parseConfirmation('Go ahead please!'), 'confirm');
+  assert.equal(parseConfirmation('book it.'), 'confirm');
+});
+
+test('parseConfirmation cancels on cancel words and a bare "don\'t"', () => {
+  assert.equal(parseConfirmation('cancel'), 'cancel');
+  assert.equal(parseConfirmation('never mind, I will do it later'), 'cancel');
+  assert.equal(parseConfirmation("don't"), 'cancel');
+  assert.equal(parseConfirmation('Do not!'), 'cancel');
+});
+
+test('parseConfirmation leaves replies that go on after "don\'t" to the model', () => {
+  assert.equal(parseConfirmation("don't change anything, go ahead"), null);
+  assert.equal(parseConfirmation('do not change the date, just book it'), null);
+});
+
+test('parseConfirmation rejects a bare no', () => {
+  assert.equal(parseConfirmation('no'), 'reject');
+  assert.equal(parseConfirmation('Nope.'), 'reject');
+  assert.equal(parseConfirmation('no, make it Friday'), null);
+});
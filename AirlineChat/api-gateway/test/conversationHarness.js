@@ -0,0 +1,169 @@
+const AiService = require('../aiService');
+const MockLlmProvider = require('../mockLlmProvider');
+const MemoryStorageService = require('../memoryStorageService');
+const FlowStateService = require('../flowStateService');
+const ChatService = require('../chatService');
+const { PATHS } = require('../mockAirlineServer');
+const AirlineStub = require('./airlineStub');
+
+const CREDENTIALS = { username: 'test-agent', password: 'test-password' };
+
+let airline = null;
+let gateway = null;
+
+// Start the mock airline on a local port and point the adapters at it. The
+// adapters read their URLs when first required, so the modules that use them
+// are loaded only after the environment is set.
+async function startAirline() {
+  airline = new AirlineStub();
+  const baseUrl = await airline.start();
+  Object.assign(process.env, {
+    API_BASE_URL: baseUrl,
+    QUERY_FLIGHT_API: `${baseUrl}${PATHS.queryFlight}`,
+    BUY_TICKET_API: `${baseUrl}${PATHS.buyTicket}`,
+    BOOKING_LOOKUP_API: `${baseUrl}${PATHS.bookingLookup}`,
+    CHECK_IN_API: `${baseUrl}${PATHS.checkIn}`,
+    API_USERNAME: CREDENTIALS.username,
+    API_PASSWORD: CREDENTIALS.password
+  });
+  gateway = {
+    ConversationEngine: require('../conversationEngine'),
+    BookingService: require('../bookingService')
+  };
+}
+
+async function stopAirline() {
+  if (airline) {
+    await airline.stop();
+  }
+}
+
+// Replays a conversation script through the gateway's REST chat handling
+// (ChatService) with the real adapters. The LLM is a MockLlmProvider running
+// the script's rules and the airline is the mock airline API over HTTP, both
+// on the script's fixed clock. A script looks like:
+//
+//   {
+//     "description": "what the conversation covers",
+//     "now": "2025-05-01T09:00:00Z",
+//     "timeZone": "Europe/Istanbul" (the default),
+//     "intentDetector": "llm" or "rules",
+//     "llm": [ mock LLM rules, see mockLlmProvider.js ],
+//     "bookings": [ { "flightNumber", "flightDate", "passengerNames" } ] already made,
+//     "airlineFaults": [ { "endpoint": "buyTicket", "status": 504 } ], see airlineStub.js,
+//     "turns": [
+//       { "user": "message", "action": optional client action,
+//         "expect": { "intent": "ACTION", "airlineCalls": [ { "endpoint", "method", "args" } ] } }
+//     ],
+//     "expectState": { the flow state saved after the last turn }
+//   }
+//
+// Expected objects only need the fields worth checking; see pickExpected.
+async function runConversation(script) {
+  if (!airline) {
+    await startAirline();
+  }
+
+  const now = new Date(script.now);
+  const userId = script.userId || 'test-user';
+  airline.reset({ ...CREDENTIALS, now: () => now.getTime(), days: 7, bookings: script.bookings, faults: script.airlineFaults });
+
+  const provider = new MockLlmProvider({ script: JSON.parse(JSON.stringify(script.llm || [])) });
+  const aiService = new AiService(provider, { intentDetector: script.intentDetector || 'llm' });
+  const storageService = new MemoryStorageService();
+  await storageService.initialize();
+  const flowStateService = new FlowStateService(storageService);
+  const bookings = new gateway.BookingService(storageService);
+  const conversationEngine = new gateway.ConversationEngine({ aiService, bookings, now: () => now });
+
+  // Messages are stamped a second apart, so their ids and order don't depend
+  // on how fast the replay runs
+  let messageCount = 0;
+  const chatService = new ChatService({
+    storageService,
+    flowStateService,
+    conversationEngine,
+    now: () => new Date(now.getTime() + 1000 * ++messageCount)
+  });
+
+  const turns = [];
+  for (const turn of script.turns) {
+    const llmCallsBefore = provider.calls.length;
+    const airlineCallsBefore = airline.calls.length;
+
+    // Replies are streamed as they are over Socket.io
+    const deltas = [];
+    const { message, intent, attachments } = await chatService.handleMessage(userId, {
+      message: turn.user,
+      timeZone: script.timeZone || 'Europe/Istanbul',
+      action: turn.action,
+      onDelta: delta => deltas.push(delta)
+    });
+
+    turns.push({
+      user: turn.user,
+      intent,
+      reply: message.content,
+      streamed: deltas.length > 0 ? deltas.join('') : null,
+      attachments,
+      llmCalls: provider.calls.slice(llmCallsBefore),
+      airlineCalls: airline.calls.slice(airlineCallsBefore)
+    });
+  }
+
+  const state = await flowStateService.load(userId)
+    || { activeFlow: null, currentStep: null, collectedParams: {}, lastSearch: null };
+  return { turns, state };
+}
+
+function indent(text, prefix) {
+  return String(text).split('\n').map(line => `${prefix}${line}`.trimEnd()).join('\n');
+}
+
+// The conversation as text for the golden transcripts: per turn, the system
+// prompts of every model call, the intent, the airline calls and the reply
+function renderTranscript(name, { turns, state }) {
+  const lines = [`# ${name}`];
+
+  turns.forEach((turn, index) => {
+    lines.push('', `## Turn ${index + 1}`, `User: ${turn.user}`);
+
+    for (const call of turn.llmCalls) {
+      lines.push(`LLM ${call.callType} call:`);
+      for (const message of call.messages.filter(item => item.role === 'system')) {
+        lines.push(indent(message.content, '    '));
+      }
+    }
+
+    const { action, parameters, collectedParams, decision } = turn.intent;
+    const details = parameters || collectedParams || decision;
+    lines.push(`Intent: ${action}${details !== undefined ? ` ${JSON.stringify(details)}` : ''}`);
+
+    for (const call of turn.airlineCalls) {
+      lines.push(`Airline: ${call.method} ${call.endpoint} ${JSON.stringify(call.args)}`);
+    }
+    for (const attachment of turn.attachments) {
+      lines.push(`Attachment: ${attachment.type} ${JSON.stringify(attachment.flights || attachment)}`);
+    }
+
+    lines.push('Assistant:', indent(turn.reply, '    '));
+  });
+
+  lines.push('', '## Final state', JSON.stringify(state, null, 2), '');
+  return lines.join('\n');
+}
+
+// The parts of actual that expected mentions: the same keys of objects and the
+// same positions of arrays (extra array items are kept so a length mismatch
+// still fails), so a deep equality check compares only what the script lists
+function pickExpected(actual, expected) {
+  if (Array.isArray(expected) && Array.isArray(actual)) {
+    return actual.map((item, index) => (index < expected.length ? pickExpected(item, expected[index]) : item));
+  }
+  if (expected && typeof expected === 'object' && actual && typeof actual === 'object' && !Array.isArray(actual)) {
+    return Object.fromEntries(Object.keys(expected).map(key => [key, pickExpected(actual[key], expected[key])]));
+  }
+  return actual;
+}
+
+module.exports = { runConversation, stopAirline, renderTranscript, pickExpected };
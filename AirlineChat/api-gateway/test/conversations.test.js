@@ -0,0 +1,55 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+// Keep the gateway's info logs out of the test output
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { runConversation, stopAirline, renderTranscript, pickExpected } = require('./conversationHarness');
+
+const SCRIPTS_DIR = path.join(__dirname, 'conversations');
+const GOLDEN_DIR = path.join(__dirname, 'golden');
+// npm run test:update rewrites the golden transcripts instead of comparing them
+const UPDATE_GOLDEN = process.env.UPDATE_GOLDEN === '1';
+
+const scripts = fs.readdirSync(SCRIPTS_DIR).filter(file => file.endsWith('.json')).sort();
+
+after(() => stopAirline());
+
+for (const file of scripts) {
+  const name = path.basename(file, '.json');
+  const script = JSON.parse(fs.readFileSync(path.join(SCRIPTS_DIR, file), 'utf8'));
+
+  test(`${name}: ${script.description}`, async () => {
+    const result = await runConversation(script);
+
+    script.turns.forEach((turn, index) => {
+      const expected = turn.expect || {};
+      const actual = result.turns[index];
+      if (actual.streamed !== null) {
+        assert.equal(actual.streamed, actual.reply, `turn ${index + 1} streamed reply`);
+      }
+      if (expected.intent) {
+        assert.equal(actual.intent.action, expected.intent, `turn ${index + 1} intent`);
+      }
+      if (expected.airlineCalls) {
+        assert.deepEqual(pickExpected(actual.airlineCalls, expected.airlineCalls), expected.airlineCalls, `turn ${index + 1} airline calls`);
+      }
+    });
+
+    if (script.expectState) {
+      assert.deepEqual(pickExpected(result.state, script.expectState), script.expectState, 'final flow state');
+    }
+
+    const transcript = renderTranscript(name, result);
+    const goldenFile = path.join(GOLDEN_DIR, `${name}.txt`);
+    if (UPDATE_GOLDEN) {
+      fs.mkdirSync(GOLDEN_DIR, { recursive: true });
+      fs.writeFileSync(goldenFile, transcript);
+      return;
+    }
+    assert.ok(fs.existsSync(goldenFile), `No golden transcript for ${name}; run npm run test:update to create it`);
+    assert.equal(transcript, fs.readFileSync(goldenFile, 'utf8'), `transcript differs from ${path.relative(process.cwd(), goldenFile)}`);
+  });
+}
@@ -0,0 +1,68 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDate, parseDateRange, isPastDate, formatForAdapter } = require('../dateParser');
+
+// Monday 2026-10-19, 13:00 in Istanbul
+const options = { now: new Date('2026-10-19T10:00:00Z'), timeZone: 'Europe/Istanbul' };
+
+test('parseDate resolves relative and named dates', () => {
+  assert.deepEqual(parseDate('today', options), { date: '2026-10-19', time: null });
+  assert.deepEqual(parseDate('tomorrow', options), { date: '2026-10-20', time: null });
+  assert.deepEqual(parseDate('next Friday', options), { date: '2026-10-30', time: null });
+  assert.deepEqual(parseDate('in 2 weeks', options), { date: '2026-11-02', time: null });
+  assert.deepEqual(parseDate('Nov 3', options), { date: '2026-11-03', time: null });
+  assert.deepEqual(parseDate('3rd of November', options), { date: '2026-11-03', time: null });
+});
+
+test('parseDate keeps a time of day', () => {
+  assert.deepEqual(parseDate('tomorrow evening', options), { date: '2026-10-20', time: '18:00' });
+  assert.deepEqual(parseDate('tonight', options), { date: '2026-10-19', time: '20:00' });
+  assert.deepEqual(parseDate('2026-10-20T10:30:00.0000000', options), { date: '2026-10-20', time: '10:30' });
+});
+
+test('parseDate rolls month days that already passed into next year', () => {
+  assert.deepEqual(parseDate('May 2', options), { date: '2027-05-02', time: null });
+  assert.deepEqual(parseDate('May 2 2026', options), { date: '2026-05-02', time: null });
+});
+
+test('parseDate returns null for text that is not a date', () => {
+  assert.equal(parseDate('whenever', options), null);
+  assert.equal(parseDate('2026-02-30', options), null);
+});
+
+test('parseDateRange parses ranges in words and with dashes', () => {
+  assert.deepEqual(parseDateRange('between Nov 3 and 5', options), { from: '2026-11-03', to: '2026-11-05' });
+  assert.deepEqual(parseDateRange('2 to 5 May', options), { from: '2027-05-02', to: '2027-05-05' });
+  assert.deepEqual(parseDateRange('May 2-5', options), { from: '2027-05-02', to: '2027-05-05' });
+  assert.deepEqual(parseDateRange('tomorrow until friday', options), { from: '2026-10-20', to: '2026-10-23' });
+});
+
+test('parseDateRange parses ranges of ISO dates', () => {
+  const expected = { from: '2026-10-20', to: '2026-10-22' };
+  assert.deepEqual(parseDateRange('2026-10-20 to 2026-10-22', options), expected);
+  assert.deepEqual(parseDateRange('2026-10-20 - 2026-10-22', options), expected);
+  assert.deepEqual(parseDateRange('2026-10-20-2026-10-22', options), expected);
+});
+
+test('parseDateRange handles weekends, single dates and year ends', () => {
+  assert.deepEqual(parseDateRange('this weekend', options), { from: '2026-10-24', to: '2026-10-25' });
+  assert.deepEqual(parseDateRange('next week', options), { from: '2026-10-26', to: '2026-11-01' });
+  assert.deepEqual(parseDateRange('2026-10-20', options), { from: '2026-10-20', to: '2026-10-20' });
+  assert.deepEqual(parseDateRange('Dec 30 to Jan 2', options), { from: '2026-12-30', to: '2027-01-02' });
+});
+
+test('parseDateRange rejects ranges that end before they start', () => {
+  assert.equal(parseDateRange('2026-10-22 to 2026-10-20', options), null);
+});
+
+test('isPastDate compares with today in the time zone', () => {
+  assert.equal(isPastDate('2026-10-18', options), true);
+  assert.equal(isPastDate('2026-10-19T08:00', options), false);
+});
+
+test('formatForAdapter formats search dates as datetimes', () => {
+  assert.equal(formatForAdapter('2026-10-20', 'searchFlights'), '2026-10-20T00:00:00.0000000');
+  assert.equal(formatForAdapter('2026-10-20', 'searchFlights', { endOfDay: true }), '2026-10-20T23:59:59.0000000');
+  assert.equal(formatForAdapter('2026-10-20T18:00', 'searchFlights', { endOfDay: true }), '2026-10-20T18:00:00.0000000');
+  assert.equal(formatForAdapter('2026-10-20T18:00', 'bookTicket'), '2026-10-20');
+});
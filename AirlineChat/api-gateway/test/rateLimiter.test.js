@@ -0,0 +1,42 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Keep the limiter's warnings out of the test output
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const RateLimiter = require('../rateLimiter');
+
+function createLimiter(limits) {
+  const limiter = new RateLimiter({ enabled: true, env: {}, now: () => 0, limits });
+  clearInterval(limiter.store.sweepTimer);
+  return limiter;
+}
+
+test('a message throttled by one scope costs no tokens in the others', async () => {
+  const limiter = createLimiter({
+    user: { capacity: 3, refillPerSecond: 0 },
+    ip: { capacity: 1, refillPerSecond: 0 }
+  });
+
+  assert.equal((await limiter.check({ userId: 'u1', ip: '10.0.0.1' })).allowed, true);
+  for (let i = 0; i < 3; i++) {
+    const result = await limiter.check({ userId: 'u1', ip: '10.0.0.1' });
+    assert.equal(result.error.scope, 'ip');
+  }
+
+  // The user's own bucket still has the two tokens the first message left
+  assert.equal((await limiter.check({ userId: 'u1', ip: '10.0.0.2' })).allowed, true);
+  assert.equal((await limiter.check({ userId: 'u1', ip: '10.0.0.3' })).allowed, true);
+  assert.equal((await limiter.check({ userId: 'u1', ip: '10.0.0.4' })).error.scope, 'user');
+});
+
+test('checkSession gives back the IP token when the session limit rejects', async () => {
+  const limiter = createLimiter({
+    ip: { capacity: 2, refillPerSecond: 0 },
+    session: { capacity: 1, refillPerSecond: 0 }
+  });
+
+  assert.equal((await limiter.checkSession('10.0.0.1')).allowed, true);
+  assert.equal((await limiter.checkSession('10.0.0.1')).error.scope, 'session');
+  assert.equal((await limiter.check({ ip: '10.0.0.1' })).allowed, true);
+});
@@ -0,0 +1,15 @@
+// Reject if the promise doesn't settle in time. The error has code ETIMEDOUT,
+// like a network timeout, so callers can treat both the same way.
+function withTimeout(promise, ms, label) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`${label} timed out after ${ms}ms`);
+      error.code = 'ETIMEDOUT';
+      reject(error);
+    }, ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+module.exports = { withTimeout };
@@ -0,0 +1,89 @@
+const logger = require('./logger').child({ component: 'tokenManager' });
+
+// Used when a token carries no readable exp claim
+const DEFAULT_TTL_SECONDS = 60 * 60;
+const DEFAULT_REFRESH_MARGIN_SECONDS = 60;
+
+// Expiry time in ms of a JWT from its exp claim, or null when the token isn't
+// a JWT or has no numeric exp. The signature isn't checked; the token is only
+// ever sent back to the API that issued it.
+function parseTokenExpiry(token) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) {
+    return null;
+  }
+  try {
+    const claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    return typeof claims.exp === 'number' ? claims.exp * 1000 : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Holds the airline API token. getToken() logs in when there's no token or it
+// expires within AIRLINE_API_TOKEN_REFRESH_SECONDS, so requests don't go out
+// with a token about to lapse. Concurrent callers share one in-flight login.
+// login() resolves to the token string and rejects when logging in fails.
+class TokenManager {
+  constructor({ login, refreshMarginSeconds, defaultTtlSeconds = DEFAULT_TTL_SECONDS, now } = {}) {
+    this.login = login;
+    const margin = refreshMarginSeconds !== undefined
+      ? refreshMarginSeconds
+      : parseFloat(process.env.AIRLINE_API_TOKEN_REFRESH_SECONDS || DEFAULT_REFRESH_MARGIN_SECONDS);
+    this.refreshMarginMs = margin * 1000;
+    this.defaultTtlMs = defaultTtlSeconds * 1000;
+    this.now = now || (() => Date.now());
+    this.token = null;
+    this.expiresAt = 0;
+    this.pending = null;
+  }
+
+  // Resolves to a usable token, or null when there is none and logging in failed
+  async getToken() {
+    if (this.token && this.now() < this.expiresAt - this.refreshMarginMs) {
+      return this.token;
+    }
+
+    try {
+      return await this.refresh();
+    } catch (error) {
+      logger.error('Airline API login failed', { error });
+      // A token inside the refresh margin still works until it expires
+      return this.token && this.now() < this.expiresAt ? this.token : null;
+    }
+  }
+
+  refresh() {
+    if (!this.pending) {
+      this.pending = Promise.resolve()
+        .then(() => this.login())
+        .then(token => this.store(token))
+        .finally(() => {
+          this.pending = null;
+        });
+    }
+    return this.pending;
+  }
+
+  store(token) {
+    if (!token) {
+      throw new Error('Login response missing token');
+    }
+    this.token = token;
+    this.expiresAt = parseTokenExpiry(token) || this.now() + this.defaultTtlMs;
+    logger.info('Airline API token refreshed', { expiresAt: new Date(this.expiresAt).toISOString() });
+    return token;
+  }
+
+  // Drop a token the API rejected. A token that was already replaced by a
+  // concurrent refresh is left alone.
+  invalidate(token) {
+    if (token && token === this.token) {
+      this.token = null;
+      this.expiresAt = 0;
+    }
+  }
+}
+
+module.exports = TokenManager;
+module.exports.parseTokenExpiry = parseTokenExpiry;
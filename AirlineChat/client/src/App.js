@@ -2,17 +2,42 @@ import React, { useState, useEffect, useRef } from 'react';
 import './App.css';
 import ChatMessage from './components/ChatMessage';
 import axios from 'axios';
+import { io } from 'socket.io-client';
 
-const API_URL = 'https://airlinechat-api.azurewebsites.net/api';
+const API_URL = process.env.REACT_APP_API_URL || 'https://airlinechat-api.azurewebsites.net/api';
+// Socket.io is served from the same host as the REST API
+const SOCKET_URL = process.env.REACT_APP_SOCKET_URL || API_URL.replace(/\/api$/, '');
+// How long to wait for the socket before loading the history over REST
+const CONNECT_TIMEOUT_MS = 5000;
+// The signed session token issued by the gateway; the server derives the userId from it
+const SESSION_TOKEN_KEY = 'chatSessionToken';
+// Renewing a refused token is retried this many times, waiting 1s, 2s, 4s...
+// up to 30s in between, before the client stays on REST
+const MAX_SESSION_RETRIES = 5;
+const SESSION_RETRY_MAX_DELAY_MS = 30000;
+
+const CONNECTION_LABELS = {
+  connecting: 'Connecting...',
+  connected: 'Connected',
+  reconnecting: 'Reconnecting...',
+  offline: 'Offline (using REST)'
+};
 
 function App() {
   const [messages, setMessages] = useState([]);
   const [input, setInput] = useState('');
   const [isLoading, setIsLoading] = useState(false);
+  // True while an assistant reply is being streamed in
+  const [isStreaming, setIsStreaming] = useState(false);
+  // connecting, connected, reconnecting or offline
+  const [connectionStatus, setConnectionStatus] = useState('connecting');
   const messagesEndRef = useRef(null);
   const userIdRef = useRef(null);
+  const sessionTokenRef = useRef(localStorage.getItem(SESSION_TOKEN_KEY));
   // Use a map to track messages by their content hash to prevent duplicates
   const messageMapRef = useRef(new Map());
+  const socketRef = useRef(null);
+  const historyLoadedRef = useRef(false);
 
   // Function to generate a content hash for deduplication
   const getMessageHash = (message) => {
@@ -20,28 +45,202 @@ function App() {
     return `${message.sender}-${message.content}-${message.timestamp || Date.now()}`;
   };
 
-  // Initialize the userId when the component mounts
-  useEffect(() => {
-    // Generate a unique ID for this session
-    const sessionId = localStorage.getItem('chatSessionId');
-    if (sessionId) {
-      userIdRef.current = sessionId;
-    } else {
-      // Generate a new user ID using timestamp and random string
-      const newUserId = `user-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-      localStorage.setItem('chatSessionId', newUserId);
-      userIdRef.current = newUserId;
-    }
+  // Add a message unless one with the same id is already shown
+  const addMessage = (message) => {
+    messageMapRef.current.set(getMessageHash(message), true);
+    setMessages(prevMessages => (
+      prevMessages.some(item => item.id === message.id) ? prevMessages : [...prevMessages, message]
+    ));
+  };
+
+  // Renew the stored session token, or start a guest session when there is
+  // none or it is no longer valid
+  const startSession = async () => {
+    const headers = sessionTokenRef.current ? { Authorization: `Bearer ${sessionTokenRef.current}` } : {};
+    const response = await axios.post(`${API_URL}/session`, {}, { headers, timeout: 10000 });
+    
+    sessionTokenRef.current = response.data.token;
+    userIdRef.current = response.data.userId;
+    localStorage.setItem(SESSION_TOKEN_KEY, response.data.token);
     console.log('Session ID:', userIdRef.current);
+  };
+  
+  // Send a REST request with the session token, starting a new session and
+  // retrying once if the token was rejected
+  const authorizedRequest = async (config) => {
+    const send = () => axios({
+      ...config,
+      headers: { ...config.headers, Authorization: `Bearer ${sessionTokenRef.current}` }
+    });
+    
+    try {
+      return await send();
+    } catch (error) {
+      if (!error.response || error.response.status !== 401) {
+        throw error;
+      }
+      await startSession();
+      return send();
+    }
+  };
+
+  // Start the session and connect when the component mounts
+  useEffect(() => {
+    // Ids from before session tokens were issued are no longer used
+    localStorage.removeItem('chatSessionId');
+    
+    // Connect over Socket.io, retrying with exponential backoff (1s doubling up
+    // to 30s, with jitter) for as long as the page is open. The connection
+    // starts on polling and upgrades to WebSocket, so it still works where
+    // WebSockets are blocked. The token is read on every attempt, so a renewed
+    // one is picked up.
+    const socket = io(SOCKET_URL, {
+      autoConnect: false,
+      auth: (callback) => callback({ token: sessionTokenRef.current }),
+      transports: ['polling', 'websocket'],
+      reconnection: true,
+      reconnectionDelay: 1000,
+      reconnectionDelayMax: 30000,
+      randomizationFactor: 0.5
+    });
+    socketRef.current = socket;
+    let hasConnected = false;
+    let sessionRetries = 0;
+    let sessionRetryTimer = null;
+    
+    // Without a connection, load the history over REST and send messages that way.
+    // After a dropped connection the status stays "reconnecting" while retrying.
+    const fallBackToRest = () => {
+      setConnectionStatus(hasConnected ? 'reconnecting' : 'offline');
+      if (!historyLoadedRef.current) {
+        historyLoadedRef.current = true;
+        fetchConversationHistory();
+      }
+    };
+    const fallbackTimer = setTimeout(() => {
+      if (!socket.connected) fallBackToRest();
+    }, CONNECT_TIMEOUT_MS);
+    
+    // Start a new session and reconnect after a backoff, unless a retry is
+    // already scheduled or the retries are used up
+    const retrySession = () => {
+      if (sessionRetryTimer) return;
+      if (sessionRetries >= MAX_SESSION_RETRIES) {
+        console.error('Giving up on the socket after repeated session errors');
+        return;
+      }
+      const delay = Math.min(1000 * 2 ** sessionRetries, SESSION_RETRY_MAX_DELAY_MS);
+      sessionRetries += 1;
+      sessionRetryTimer = setTimeout(() => {
+        sessionRetryTimer = null;
+        startSession()
+          .then(() => socket.connect())
+          .catch(sessionError => {
+            console.error('Error starting session:', sessionError);
+            retrySession();
+          });
+      }, delay);
+    };
+    
+    socket.on('connect', () => {
+      console.log('Connected to chat server');
+      setConnectionStatus('connected');
+      sessionRetries = 0;
+      // The server sends the history and a welcome message; skip the welcome on reconnects
+      socket.emit('identify', {
+        timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+        reconnect: hasConnected
+      });
+      hasConnected = true;
+    });
+    
+    socket.on('connect_error', (error) => {
+      console.error('Socket connection error:', error.message);
+      fallBackToRest();
+      
+      // The server refused the token; Socket.io doesn't retry these on its own
+      if (error.message === 'unauthorized') {
+        retrySession();
+      }
+    });
+    
+    socket.on('disconnect', (reason) => {
+      console.log('Disconnected from chat server:', reason);
+      setConnectionStatus('reconnecting');
+      // A reply that was being streamed won't finish on this connection
+      setMessages(prevMessages => prevMessages.map(message => (
+        message.streaming ? { ...message, streaming: false } : message
+      )));
+      setIsStreaming(false);
+      setIsLoading(false);
+    });
+    
+    // The saved conversation, sent after identify
+    socket.on('history', (history) => {
+      historyLoadedRef.current = true;
+      messageMapRef.current.clear();
+      history.forEach(message => messageMapRef.current.set(getMessageHash(message), true));
+      setMessages(history);
+    });
+    
+    // Complete messages, such as the welcome message
+    socket.on('message', (message) => {
+      historyLoadedRef.current = true;
+      addMessage(message);
+    });
+    
+    // A reply starts as an empty message that grows with each delta
+    socket.on('message:start', (message) => {
+      setIsLoading(false);
+      setIsStreaming(true);
+      setMessages(prevMessages => [...prevMessages, { ...message, content: '', streaming: true }]);
+    });
+    
+    socket.on('message:delta', ({ id, delta }) => {
+      setMessages(prevMessages => prevMessages.map(message => (
+        message.id === id ? { ...message, content: message.content + delta } : message
+      )));
+    });
+    
+    // The final text replaces what was streamed
+    socket.on('message:end', (finalMessage) => {
+      messageMapRef.current.set(getMessageHash(finalMessage), true);
+      setMessages(prevMessages => prevMessages.map(message => (
+        message.id === finalMessage.id ? { ...finalMessage, streaming: false } : message
+      )));
+      setIsStreaming(false);
+      setIsLoading(false);
+    });
+    
+    // The server refused the message, e.g. because the user is sending too many
+    socket.on('message:error', (rejection) => {
+      console.warn('Message rejected:', rejection.code);
+      addMessage({
+        id: `${rejection.id}-error`,
+        content: rejection.error,
+        sender: 'bot',
+        timestamp: new Date().toISOString()
+      });
+      setIsLoading(false);
+    });
+    
+    startSession()
+      .catch(error => console.error('Error starting session:', error))
+      .then(() => socket.connect());
     
-    // Fetch conversation history
-    fetchConversationHistory();
+    return () => {
+      clearTimeout(fallbackTimer);
+      clearTimeout(sessionRetryTimer);
+      socket.disconnect();
+    };
   }, []);
 
   // Fetch conversation history from the server
   const fetchConversationHistory = async () => {
     try {
-      const response = await axios.get(`${API_URL}/history?userId=${userIdRef.current}`, {
+      const response = await authorizedRequest({
+        method: 'get',
+        url: `${API_URL}/history`,
         timeout: 10000
       });
       
@@ -103,7 +302,7 @@ function App() {
   };
 
   // Add a function to clear chat
-  const clearChat = () => {
+  const clearChat = async () => {
     setMessages([]);
     messageMapRef.current.clear();
     
@@ -123,7 +322,7 @@ function App() {
     
     // Clear conversation history on server
     try {
-      axios.delete(`${API_URL}/history?userId=${userIdRef.current}`);
+      await authorizedRequest({ method: 'delete', url: `${API_URL}/history` });
     } catch (error) {
       console.error('Error clearing conversation history:', error);
     }
@@ -133,9 +332,26 @@ function App() {
     e.preventDefault();
     if (!input.trim()) return;
 
+    setInput('');
+    await sendMessage(input);
+  };
+
+  // "Book this flight" on a flight card starts a booking prefilled with that flight
+  const handleBookFlight = (flight) => {
+    const flightDate = flight.departure ? String(flight.departure).substring(0, 10) : undefined;
+    const text = `Book flight ${flight.flightNumber}${flightDate ? ` on ${flightDate}` : ''}`;
+    sendMessage(text, {
+      type: 'START_FLOW',
+      flow: 'BUY_TICKET',
+      params: { flightNumber: flight.flightNumber, flightDate }
+    });
+  };
+
+  // Send a user message, with an optional action that tells the server what to do directly
+  const sendMessage = async (text, action) => {
     const userMessage = {
       id: new Date().toISOString(),
-      content: input,
+      content: text,
       sender: 'user',
       timestamp: new Date().toISOString()
     };
@@ -152,17 +368,26 @@ function App() {
       setMessages(prevMessages => [...prevMessages, userMessage]);
     }
     
-    setInput('');
     setIsLoading(true);
 
+    // Send over the socket when connected; the reply is streamed back
+    if (socketRef.current && socketRef.current.connected) {
+      socketRef.current.emit('message', { ...userMessage, action });
+      return;
+    }
+
     try {
-      console.log('Sending message to API:', input);
+      console.log('Sending message to API:', text);
       
       // Add timeout to the request
-      const response = await axios.post(`${API_URL}/chat`, { 
-        message: input,
-        userId: userIdRef.current // Add user ID for conversation tracking
-      }, {
+      const response = await authorizedRequest({
+        method: 'post',
+        url: `${API_URL}/chat`,
+        data: {
+          message: text,
+          action,
+          timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone // Lets the server resolve "tomorrow" or "next Friday"
+        },
         timeout: 15000, // 15 second timeout
         headers: {
           'Content-Type': 'application/json'
@@ -176,6 +401,7 @@ function App() {
         const botResponse = {
           id: new Date().toISOString() + '-api',
           content: response.data.message.content,
+          attachments: response.data.message.attachments,
           sender: 'bot',
           timestamp: new Date().toISOString()
         };
@@ -195,9 +421,13 @@ function App() {
     } catch (error) {
       console.error('Error sending message:', error);
       
+      // Rate limit errors explain when the user can try again
+      const rateLimited = error.response && error.response.status === 429 && error.response.data;
       const errorMessage = {
         id: new Date().toISOString() + '-error',
-        content: 'Sorry, there was an error processing your request. Please try again later.',
+        content: rateLimited
+          ? error.response.data.error
+          : 'Sorry, there was an error processing your request. Please try again later.',
         sender: 'bot',
         timestamp: new Date().toISOString()
       };
@@ -222,6 +452,9 @@ function App() {
     <div className="App">
       <header className="App-header">
         <h1>Airline Ticketing Assistant</h1>
+        <span className={`connection-status ${connectionStatus}`}>
+          {CONNECTION_LABELS[connectionStatus]}
+        </span>
         <button onClick={clearChat} className="clear-chat-btn">Clear Chat</button>
       </header>
       <div className="chat-container">
@@ -230,9 +463,11 @@ function App() {
             <ChatMessage 
               key={message.id || index} 
               message={message}
+              onBookFlight={handleBookFlight}
+              disabled={isLoading || isStreaming}
             />
           ))}
-          {isLoading && (
+          {isLoading && !isStreaming && (
             <div className="message bot-message">
               <div className="typing-indicator">
                 <span></span>
@@ -249,9 +484,9 @@ function App() {
             value={input}
             onChange={(e) => setInput(e.target.value)}
             placeholder="Type your message here..."
-            disabled={isLoading}
+            disabled={isLoading || isStreaming}
           />
-          <button type="submit" disabled={isLoading}>Send</button>
+          <button type="submit" disabled={isLoading || isStreaming}>Send</button>
         </form>
       </div>
     </div>
@@ -1,11 +1,12 @@
 import React from 'react';
+import FlightCards from './FlightCards';
 
-const ChatMessage = ({ message }) => {
-  const { content, sender } = message;
+const ChatMessage = ({ message, onBookFlight, disabled }) => {
+  const { content, sender, streaming, attachments = [] } = message;
   
   const formatMessage = (text) => {
-    // Handle flight details formatting
-    if (text.includes('Flight:') && text.includes('Passengers:')) {
+    // Handle flight details formatting (search results and confirmation summaries)
+    if (text.includes('Flight:') && (text.includes('Passengers:') || text.includes('Passenger:'))) {
       return text.split('\n').map((line, i) => (
         <p key={i}>{line}</p>
       ));
@@ -17,6 +18,17 @@ const ChatMessage = ({ message }) => {
     <div className={`message ${sender === 'user' ? 'user-message' : 'bot-message'}`}>
       <div className="message-content">
         {formatMessage(content)}
+        {streaming && <span className="streaming-cursor" />}
+        {attachments
+          .filter(attachment => attachment.type === 'flights')
+          .map((attachment, index) => (
+            <FlightCards
+              key={index}
+              flights={attachment.flights}
+              onBookFlight={onBookFlight}
+              disabled={disabled}
+            />
+          ))}
       </div>
     </div>
   );
@@ -0,0 +1,46 @@
+import React from 'react';
+
+// Show a date/time from the API in the user's locale, or as is when it can't be parsed
+const formatDateTime = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return String(value);
+  return date.toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+};
+
+// Flight search results sent with an assistant message, one card per flight
+const FlightCards = ({ flights, onBookFlight, disabled }) => {
+  if (!flights || flights.length === 0) return null;
+
+  return (
+    <div className="flight-cards">
+      {flights.map((flight, index) => (
+        <div className="flight-card" key={`${flight.flightNumber}-${index}`}>
+          <div className="flight-card-header">
+            <span className="flight-number">{flight.flightNumber}</span>
+            {(flight.origin || flight.destination) && (
+              <span className="flight-route">{flight.origin} → {flight.destination}</span>
+            )}
+          </div>
+          <div className="flight-card-details">
+            {flight.departure && <div>Departs: {formatDateTime(flight.departure)}</div>}
+            {flight.arrival && <div>Arrives: {formatDateTime(flight.arrival)}</div>}
+            {flight.price !== undefined && <div>Price: {flight.price}</div>}
+            {flight.seatsAvailable !== undefined && <div>Seats available: {flight.seatsAvailable}</div>}
+          </div>
+          {onBookFlight && (
+            <button
+              className="book-flight-btn"
+              onClick={() => onBookFlight(flight)}
+              disabled={disabled}
+            >
+              Book this flight
+            </button>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default FlightCards;